@@ -0,0 +1,191 @@
+// extract_elements 的 Bounds 格式
+// origin：座標原點（top-left 或 bottom-left）
+// layout：陣列的排列方式（corners 為 [x1, y1, x2, y2]，xywh 為 [x, y, width, height]）；物件一律視為 xywh
+// units：points（PDF 點）、normalized（0 ~ 1，相對於頁面寬高）、pixels（需指定 dpi）
+const DEFAULT_BOUNDS_FORMAT = {
+  origin: 'top-left',
+  layout: 'corners',
+  units: 'points',
+  dpi: null
+};
+
+// 常見文字擷取工具的輸出格式
+const BOUNDS_PRESETS = {
+  default: {},
+  'adobe-extract': { origin: 'bottom-left' },  // Bounds: [left, bottom, right, top]
+  pdfminer: { origin: 'bottom-left' },         // bbox: (x0, y0, x1, y1)
+  pdfplumber: {},                              // (x0, top, x1, bottom)
+  pymupdf: {},                                 // bbox: (x0, y0, x1, y1)，左上角為原點
+  textract: { layout: 'xywh', units: 'normalized' },        // BoundingBox: { Left, Top, Width, Height }
+  tesseract: { layout: 'xywh', units: 'pixels', dpi: 300 }  // left, top, width, height
+};
+
+const ORIGINS = ['top-left', 'bottom-left'];
+const LAYOUTS = ['corners', 'xywh'];
+const UNITS = ['points', 'normalized', 'pixels'];
+
+// 物件形式的 Bounds 可使用的鍵（不分大小寫），依序嘗試
+const OBJECT_KEYS = {
+  x: ['x', 'left', 'x0'],
+  y: ['y', 'top', 'y0'],
+  width: ['width', 'w'],
+  height: ['height', 'h']
+};
+
+/**
+ * 驗證 bounds_format：預設格式名稱，或 { preset, origin, layout, units, dpi }
+ * @returns {string|null} 錯誤訊息，沒有錯誤時為 null
+ */
+function validateBoundsFormat(format) {
+  if (format === undefined) return null;
+  
+  const presetNames = Object.keys(BOUNDS_PRESETS);
+  
+  if (typeof format === 'string') {
+    return BOUNDS_PRESETS[format] ? null : `bounds_format must be one of: ${presetNames.join(', ')}`;
+  }
+  
+  if (!format || typeof format !== 'object' || Array.isArray(format)) {
+    return 'bounds_format must be a preset name or an object';
+  }
+  
+  if (format.preset !== undefined && !BOUNDS_PRESETS[format.preset]) {
+    return `bounds_format.preset must be one of: ${presetNames.join(', ')}`;
+  }
+  
+  const checks = [['origin', ORIGINS], ['layout', LAYOUTS], ['units', UNITS]];
+  for (const [key, allowed] of checks) {
+    if (format[key] !== undefined && !allowed.includes(format[key])) {
+      return `bounds_format.${key} must be one of: ${allowed.join(', ')}`;
+    }
+  }
+  
+  const resolved = resolveBoundsFormat(format);
+  if (resolved.units === 'pixels' && !(Number.isFinite(resolved.dpi) && resolved.dpi > 0)) {
+    return 'bounds_format.dpi must be a positive number when units is "pixels"';
+  }
+  
+  return null;
+}
+
+/**
+ * 合併預設值、預設格式與個別設定
+ * @param {string|Object} format - bounds_format（需先經過 validateBoundsFormat）
+ * @returns {Object} { origin, layout, units, dpi }
+ */
+function resolveBoundsFormat(format) {
+  if (typeof format === 'string') {
+    return { ...DEFAULT_BOUNDS_FORMAT, ...BOUNDS_PRESETS[format] };
+  }
+  
+  const { preset, ...overrides } = format || {};
+  return {
+    ...DEFAULT_BOUNDS_FORMAT,
+    ...(BOUNDS_PRESETS[preset] || {}),
+    ...overrides
+  };
+}
+
+/**
+ * 將單一 Bounds 轉換為內部格式：[x1, y1, x2, y2]，顯示頁面左上角為原點、單位為 PDF 點
+ * @param {Array|Object} bounds - 原始 Bounds
+ * @param {Object} format - resolveBoundsFormat 的結果
+ * @param {Object} geometry - 該頁的顯示座標系（getPageGeometry）
+ * @returns {Array|null} 無法解析時為 null
+ */
+function normalizeBounds(bounds, format, geometry) {
+  const rect = readRect(bounds, format.layout);
+  if (!rect) return null;
+  
+  // 換算為 PDF 點
+  let scaleX = 1;
+  let scaleY = 1;
+  if (format.units === 'normalized') {
+    scaleX = geometry.width;
+    scaleY = geometry.height;
+  } else if (format.units === 'pixels') {
+    scaleX = scaleY = 72 / format.dpi;
+  }
+  
+  const left = Math.min(rect.x1, rect.x2) * scaleX;
+  const right = Math.max(rect.x1, rect.x2) * scaleX;
+  let top = Math.min(rect.y1, rect.y2) * scaleY;
+  let bottom = Math.max(rect.y1, rect.y2) * scaleY;
+  
+  // 左下角為原點時翻轉 Y 軸
+  if (format.origin === 'bottom-left') {
+    [top, bottom] = [geometry.height - bottom, geometry.height - top];
+  }
+  
+  return [left, top, right, bottom];
+}
+
+/**
+ * 讀取陣列或物件形式的 Bounds，回傳兩個角的座標（原始單位與原點）
+ */
+function readRect(bounds, layout) {
+  let values;
+  
+  if (Array.isArray(bounds)) {
+    if (bounds.length !== 4) return null;
+    values = bounds.map(Number);
+    if (layout === 'xywh') {
+      values = [values[0], values[1], values[0] + values[2], values[1] + values[3]];
+    }
+  } else if (bounds && typeof bounds === 'object') {
+    const lowerCased = Object.fromEntries(
+      Object.entries(bounds).map(([key, value]) => [key.toLowerCase(), value])
+    );
+    const pick = keys => Number(lowerCased[keys.find(key => lowerCased[key] !== undefined)]);
+    const x = pick(OBJECT_KEYS.x);
+    const y = pick(OBJECT_KEYS.y);
+    values = [x, y, x + pick(OBJECT_KEYS.width), y + pick(OBJECT_KEYS.height)];
+  } else {
+    return null;
+  }
+  
+  if (!values.every(Number.isFinite)) return null;
+  
+  const [x1, y1, x2, y2] = values;
+  return { x1, y1, x2, y2 };
+}
+
+/**
+ * 將用戶端提供的 extract_elements 轉換為內部格式，之後的解析只需處理一種座標
+ * Bounds 無法解析或頁碼不存在的元素會被略過
+ * @param {Array} elements - extract_elements
+ * @param {string|Object} boundsFormat - bounds_format（需先經過 validateBoundsFormat）
+ * @param {Array} geometries - 每頁的顯示座標系（getPageGeometry）
+ * @returns {Object} { elements, skipped }
+ */
+function normalizeElements(elements, boundsFormat, geometries) {
+  const format = resolveBoundsFormat(boundsFormat);
+  const normalized = [];
+  let skipped = 0;
+  
+  for (const element of elements) {
+    // 沒有文字的元素（圖片、表格外框）不參與解析
+    if (!element || !element.Text) continue;
+    
+    const page = element.Page || 0;
+    const geometry = geometries[page];
+    const bounds = geometry ? normalizeBounds(element.Bounds, format, geometry) : null;
+    
+    if (!bounds) {
+      skipped++;
+      continue;
+    }
+    
+    normalized.push({ ...element, Bounds: bounds, Page: page });
+  }
+  
+  return { elements: normalized, skipped };
+}
+
+module.exports = {
+  BOUNDS_PRESETS,
+  validateBoundsFormat,
+  resolveBoundsFormat,
+  normalizeBounds,
+  normalizeElements
+};
\ No newline at end of file
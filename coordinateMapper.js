@@ -55,7 +55,153 @@ function pdfToPixelCoordinates(
   };
 }
 
+/**
+ * 計算兩個 PDF 矩形的 IoU（交集 / 聯集）
+ * @param {Object} a - 矩形 { x, y, width, height }
+ * @param {Object} b - 矩形 { x, y, width, height }
+ * @returns {number} 0 ~ 1 之間的重疊比例
+ */
+function calculateIoU(a, b) {
+  const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  
+  if (overlapX <= 0 || overlapY <= 0) {
+    return 0;
+  }
+  
+  const intersection = overlapX * overlapY;
+  const union = a.width * a.height + b.width * b.height - intersection;
+  
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * 計算矩形 a 被矩形 b 覆蓋的比例（交集 / a 的面積）
+ * @param {Object} a - 矩形 { x, y, width, height }
+ * @param {Object} b - 矩形 { x, y, width, height }
+ * @returns {number} 0 ~ 1 之間的覆蓋比例
+ */
+function calculateOverlapRatio(a, b) {
+  const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  const area = a.width * a.height;
+  
+  if (overlapX <= 0 || overlapY <= 0 || area <= 0) {
+    return 0;
+  }
+  
+  return (overlapX * overlapY) / area;
+}
+
+/**
+ * 頁面的顯示座標系：原點為可見範圍（CropBox 與 MediaBox 的交集）旋轉後的左下角，
+ * width / height 為旋轉後看到的尺寸。偵測與回應中的座標都使用此座標系，
+ * 建立欄位時才以 displayToUserPoint 轉換回 PDF 使用者空間
+ * @param {number} rotation - /Rotate 角度（任意 90 的倍數，包含負值）
+ * @param {Object} box - 可見範圍（使用者空間）{ x, y, width, height }
+ * @returns {Object} { rotation, box, width, height }
+ */
+function createPageGeometry(rotation, box) {
+  const angle = (((Math.round((rotation || 0) / 90) * 90) % 360) + 360) % 360;
+  const swapped = angle === 90 || angle === 270;
+  
+  return {
+    rotation: angle,
+    box: box,
+    width: swapped ? box.height : box.width,
+    height: swapped ? box.width : box.height
+  };
+}
+
+/**
+ * 取得 pdf-lib 頁面的顯示座標系
+ * @param {PDFPage} page - pdf-lib 頁面
+ * @returns {Object} createPageGeometry 的結果
+ */
+function getPageGeometry(page) {
+  const mediaBox = page.getMediaBox();
+  const cropBox = page.getCropBox();
+  
+  // CropBox 超出 MediaBox 的部分不會顯示
+  const left = Math.max(mediaBox.x, cropBox.x);
+  const bottom = Math.max(mediaBox.y, cropBox.y);
+  const right = Math.min(mediaBox.x + mediaBox.width, cropBox.x + cropBox.width);
+  const top = Math.min(mediaBox.y + mediaBox.height, cropBox.y + cropBox.height);
+  const box = right > left && top > bottom
+    ? { x: left, y: bottom, width: right - left, height: top - bottom }
+    : mediaBox;
+  
+  return createPageGeometry(page.getRotation().angle, box);
+}
+
+/**
+ * 顯示座標轉換為 PDF 使用者空間（頁面順時針旋轉 rotation 度後顯示）
+ * @param {number} x - 顯示座標 X
+ * @param {number} y - 顯示座標 Y（底部為 0）
+ * @param {Object} geometry - createPageGeometry 的結果
+ * @returns {Object} { x, y }
+ */
+function displayToUserPoint(x, y, geometry) {
+  const { x: boxX, y: boxY, width, height } = geometry.box;
+  
+  switch (geometry.rotation) {
+    case 90:
+      return { x: boxX + width - y, y: boxY + x };
+    case 180:
+      return { x: boxX + width - x, y: boxY + height - y };
+    case 270:
+      return { x: boxX + y, y: boxY + height - x };
+    default:
+      return { x: boxX + x, y: boxY + y };
+  }
+}
+
+/**
+ * PDF 使用者空間轉換為顯示座標（displayToUserPoint 的反向）
+ */
+function userToDisplayPoint(x, y, geometry) {
+  const { x: boxX, y: boxY, width, height } = geometry.box;
+  const dx = x - boxX;
+  const dy = y - boxY;
+  
+  switch (geometry.rotation) {
+    case 90:
+      return { x: dy, y: width - dx };
+    case 180:
+      return { x: width - dx, y: height - dy };
+    case 270:
+      return { x: height - dy, y: dx };
+    default:
+      return { x: dx, y: dy };
+  }
+}
+
+/**
+ * PDF 使用者空間的矩形轉換為顯示座標（旋轉 90 / 270 度時寬高互換）
+ * @param {Object} rect - { x, y, width, height }
+ * @param {Object} geometry - createPageGeometry 的結果
+ * @returns {Object} { x, y, width, height }
+ */
+function userToDisplayRect(rect, geometry) {
+  const a = userToDisplayPoint(rect.x, rect.y, geometry);
+  const b = userToDisplayPoint(rect.x + rect.width, rect.y + rect.height, geometry);
+  
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+}
+
 module.exports = {
   pixelToPDFCoordinates,
-  pdfToPixelCoordinates
+  pdfToPixelCoordinates,
+  calculateIoU,
+  calculateOverlapRatio,
+  createPageGeometry,
+  getPageGeometry,
+  displayToUserPoint,
+  userToDisplayPoint,
+  userToDisplayRect
 };
\ No newline at end of file
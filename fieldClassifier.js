@@ -0,0 +1,167 @@
+// 預設分類規則：標籤中最靠右（最接近空白）的符合決定欄位類型，位置相同時取較長的符合，再依規則順序
+// keywords 以完整單字比對（"design" 不會符合 "sign"），中日韓關鍵字沒有字詞分隔，改為直接包含；
+// patterns 為直接包含的符號，只在緊鄰空白（標籤結尾）時符合
+const DEFAULT_RULES = [
+  { type: 'signature', keywords: ['signature', 'sign', 'sign here', 'signed by', 'signer', '簽名', '签名', '簽署', '签署', '簽章', '签章', '簽字', '签字'] },
+  { type: 'initials', keywords: ['initials', 'initial', 'initial here', '簡簽', '简签', '草簽', '草签'] },
+  { type: 'date', keywords: ['date', 'date signed', 'dob', 'date of birth', 'birthday', 'birth date', 'expiration', 'expiry', '日期', '出生日期', '生日', '年月日'] },
+  { type: 'email', keywords: ['email', 'e-mail', 'email address', '電子郵件', '电子邮件', '電郵', '电邮', '郵箱', '邮箱', '信箱'] },
+  { type: 'phone', keywords: ['phone', 'telephone', 'tel', 'mobile', 'cell', 'fax', 'phone number', '電話', '电话', '手機', '手机', '傳真', '传真'] },
+  { type: 'zip', keywords: ['zip', 'zip code', 'postal code', 'postcode', '郵遞區號', '邮递区号', '郵政編碼', '邮政编码', '郵編', '邮编'] },
+  { type: 'id_number', keywords: ['ssn', 'social security', 'social security number', 'id number', 'id no', 'passport', 'tax id', 'ein', '身分證', '身份證', '身份证', '證件號碼', '证件号码', '統一編號', '统一编号', '護照', '护照'] },
+  { type: 'percentage', keywords: ['percent', 'percentage', '百分比', '比率'], patterns: ['%', '％'] },
+  { type: 'currency', keywords: ['amount', 'price', 'total', 'cost', 'fee', 'salary', 'payment', 'sum', '金額', '金额', '價格', '价格', '總計', '总计', '費用', '费用', '薪資', '薪资'], patterns: ['$', '＄', '¥', '￥'] },
+  { type: 'address', keywords: ['address', 'mailing address', 'street address', 'residence', '地址', '住址', '通訊處', '通讯处'] },
+  { type: 'name', keywords: ['full name', 'first name', 'last name', 'surname', '姓名', '名字'] }
+];
+
+// 中日韓文字（關鍵字含這些字元時不做單字邊界比對）
+const CJK_REGEX = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7A3\uF900-\uFAFF]/;
+
+// 英文關鍵字之後還可以接的文字（仍是標籤的中心詞）：標點、括號說明、不改變類型的字與介系詞片語，
+// 例如 "Phone (home)"、"ID number"、"Signature of applicant"；"Total hours" 的 total 只是修飾語
+const KEYWORD_TRAILING_REGEX = /^(?:[\s\p{P}\p{S}]|\([^)]*\)|（[^）]*）|(?:number|no|num|code|here|only)(?![\p{L}\p{N}]))*(?:(?:of|for|by|on|to|in|at|from)(?![\p{L}\p{N}]).*)?$/u;
+
+// 符號之後只能接標點或空白，例如 "Rate (%)"；"Comments (100% optional)" 不符合
+const PATTERN_TRAILING_REGEX = /^[\s\p{P}]*$/u;
+
+// 選擇類欄位由符號或方框判斷，不會被重新分類
+const CHOICE_TYPES = ['checkbox', 'radio'];
+
+/**
+ * 驗證用戶端提供的規則
+ * @param {Array} rules - [{ type, keywords?, patterns? }]
+ * @returns {string|null} 錯誤訊息，沒有錯誤時為 null
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'classifier_rules must be an array';
+  }
+  
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || typeof rule.type !== 'string' || !rule.type) {
+      return `classifier_rules[${index}].type must be a non-empty string`;
+    }
+    
+    const keywords = rule.keywords || [];
+    const patterns = rule.patterns || [];
+    
+    if (!Array.isArray(keywords) || !Array.isArray(patterns) ||
+        ![...keywords, ...patterns].every(value => typeof value === 'string' && value)) {
+      return `classifier_rules[${index}] keywords and patterns must be arrays of strings`;
+    }
+    
+    if (keywords.length === 0 && patterns.length === 0) {
+      return `classifier_rules[${index}] needs at least one keyword or pattern`;
+    }
+    
+    if (CHOICE_TYPES.includes(rule.type)) {
+      return `classifier_rules[${index}].type cannot be "${rule.type}"`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 組合規則：用戶端規則優先，replaceDefaults 為 true 時不使用預設規則
+ */
+function buildRules(customRules = [], replaceDefaults = false) {
+  return replaceDefaults ? [...customRules] : [...customRules, ...DEFAULT_RULES];
+}
+
+/**
+ * 找出規則在文字中最靠右的中心詞符合
+ * 中日韓關鍵字之後接其他字仍算中心詞（例如「電話號碼」），因此「簽名日期」以最右側的「日期」為準
+ * @returns {Object|null} { end, length }：符合結尾的位置與長度，沒有符合時為 null
+ */
+function findRuleMatch(text, rule) {
+  const lower = text.toLowerCase();
+  let best = null;
+  
+  const consider = (index, length, trailingRegex) => {
+    const end = index + length;
+    if (trailingRegex && !trailingRegex.test(lower.slice(end))) return;
+    
+    if (!best || end > best.end || (end === best.end && length > best.length)) {
+      best = { end, length };
+    }
+  };
+  
+  for (const pattern of rule.patterns || []) {
+    const needle = pattern.toLowerCase();
+    for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, index + 1)) {
+      consider(index, needle.length, PATTERN_TRAILING_REGEX);
+    }
+  }
+  
+  for (const keyword of rule.keywords || []) {
+    const needle = keyword.toLowerCase();
+    
+    if (CJK_REGEX.test(keyword)) {
+      for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, index + 1)) {
+        consider(index, needle.length, null);
+      }
+      continue;
+    }
+    
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu');
+    for (const match of lower.matchAll(regex)) {
+      consider(match.index, needle.length, KEYWORD_TRAILING_REGEX);
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * 依標籤判斷欄位類型；沒有標籤時才參考空白附近的文字
+ * 標籤的中心詞通常在最後（"Signature Date" 是日期、"Initial deposit amount" 是金額），
+ * 因此取最靠右的符合，而不是第一個符合的規則
+ * @param {string|null} label - 最接近空白的標籤
+ * @param {string|null} context - 空白附近的原始文字
+ * @param {Array} rules - 分類規則（預設為 DEFAULT_RULES）
+ * @returns {string} 欄位類型，沒有符合的規則時為 'text'
+ */
+function classifyField(label, context, rules = DEFAULT_RULES) {
+  const text = label || context;
+  if (!text) return 'text';
+  
+  let bestRule = null;
+  let bestMatch = null;
+  
+  for (const rule of rules) {
+    const match = findRuleMatch(text, rule);
+    if (!match) continue;
+    
+    // 位置與長度都相同時保留較前面的規則（用戶端規則在前）
+    if (!bestMatch || match.end > bestMatch.end || (match.end === bestMatch.end && match.length > bestMatch.length)) {
+      bestRule = rule;
+      bestMatch = match;
+    }
+  }
+  
+  return bestRule ? bestRule.type : 'text';
+}
+
+/**
+ * 為所有文字類區域重新分類（核取方塊與單選按鈕保持不變）
+ */
+function classifyAreas(fillableAreas, rules = DEFAULT_RULES) {
+  for (const area of fillableAreas) {
+    if (CHOICE_TYPES.includes(area.field_type)) continue;
+    
+    area.field_type = classifyField(area.metadata.label, area.metadata.sourceText, rules);
+  }
+  
+  return fillableAreas;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  validateRules,
+  buildRules,
+  classifyField,
+  classifyAreas
+};
\ No newline at end of file
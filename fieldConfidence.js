@@ -0,0 +1,145 @@
+// 依偵測方式的起始分數；文字符號與方框比下劃線、橫線可靠
+const BASE_SCORES = {
+  underscore: 0.6,
+  line: 0.55,
+  box: 0.75,
+  glyph: 0.85
+};
+const DEFAULT_BASE_SCORE = 0.6;
+
+// 頁首頁尾的範圍（PDF 點），此範圍內的橫線多半是裝飾
+const PAGE_MARGIN = 36;
+
+// 寬度超過頁面此比例且沒有標籤的橫線視為分隔線
+const SEPARATOR_WIDTH_RATIO = 0.75;
+
+// 超過此粗細（PDF 點）的橫線多半是裝飾或表格外框（填寫線通常不到 1 點）
+const THICK_LINE = 1.5;
+
+// 下劃線長度：太短可能是內文中的符號，夠長才像填寫欄位
+const SHORT_RUN = 3;
+const LONG_RUN = 8;
+
+// 由標籤或符號本身決定的類型，不以標籤有無調整分數
+const CHOICE_TYPES = ['checkbox', 'radio'];
+
+/**
+ * 驗證 min_confidence
+ * @returns {string|null} 錯誤訊息，沒有錯誤時為 null
+ */
+function validateMinConfidence(value) {
+  if (value === undefined) return null;
+  
+  if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+    return 'min_confidence must be a number between 0 and 1';
+  }
+  
+  return null;
+}
+
+/**
+ * 計算單一候選區域的信心分數（0 ~ 1）
+ * @param {Object} area - 可填寫區域（顯示座標）
+ * @param {Object} geometry - 該頁的顯示座標系（getPageGeometry）
+ * @param {Object} options - { hasText }：沒有文字層時不以標籤有無調整分數
+ * @returns {Object} { confidence, factors }，factors 為影響分數的因素名稱
+ */
+function scoreArea(area, geometry, options = {}) {
+  const metadata = area.metadata;
+  const detectors = String(metadata.detector || '').split('+');
+  const factors = [];
+  
+  let score = Math.max(...detectors.map(detector => BASE_SCORES[detector] || DEFAULT_BASE_SCORE));
+  const adjust = (factor, delta) => {
+    score += delta;
+    factors.push(factor);
+  };
+  
+  // 文字與渲染兩種方式都找到同一個位置
+  if (detectors.length > 1) {
+    adjust('multiple_detectors', 0.15);
+  }
+  
+  if (metadata.underscoreLength !== undefined) {
+    if (metadata.underscoreLength <= SHORT_RUN) {
+      adjust('short_run', -0.35);
+    } else if (metadata.underscoreLength >= LONG_RUN) {
+      adjust('long_run', 0.1);
+    }
+  }
+  
+  // 夾在文字中間的下劃線，例如 "file__name"
+  if (metadata.inWord) {
+    adjust('inside_word', -0.2);
+  }
+  
+  if (metadata.lineThickness > THICK_LINE) {
+    adjust('thick_line', -0.2);
+  }
+  
+  if (options.hasText && !CHOICE_TYPES.includes(area.field_type)) {
+    if (metadata.label) {
+      adjust('label', 0.2);
+    } else {
+      adjust('no_label', -0.15);
+    }
+  }
+  
+  if (geometry) {
+    if (!metadata.label && !metadata.multiline && area.width >= geometry.width * SEPARATOR_WIDTH_RATIO) {
+      adjust('full_width_separator', -0.35);
+    }
+    
+    if (area.y < PAGE_MARGIN || area.y + area.height > geometry.height - PAGE_MARGIN) {
+      adjust('page_margin', -0.15);
+    }
+  }
+  
+  return {
+    confidence: parseFloat(Math.min(1, Math.max(0, score)).toFixed(2)),
+    factors: factors
+  };
+}
+
+/**
+ * 為所有區域計算信心分數（寫入 metadata.confidence 與 metadata.confidenceFactors）
+ * @param {Array} fillableAreas - 可填寫區域
+ * @param {Array} geometries - 每頁的顯示座標系
+ * @param {Object} options - 見 scoreArea
+ */
+function scoreAreas(fillableAreas, geometries, options = {}) {
+  for (const area of fillableAreas) {
+    const { confidence, factors } = scoreArea(area, geometries[area.page], options);
+    area.metadata.confidence = confidence;
+    area.metadata.confidenceFactors = factors;
+  }
+  
+  return fillableAreas;
+}
+
+/**
+ * 依 min_confidence 分出要建立的區域；低於門檻的區域標記為 skipped_low_confidence，仍會出現在回應中
+ * @returns {Object} { accepted, rejected }
+ */
+function filterByConfidence(fillableAreas, minConfidence = 0) {
+  const accepted = [];
+  const rejected = [];
+  
+  for (const area of fillableAreas) {
+    if (area.metadata.confidence !== undefined && area.metadata.confidence < minConfidence) {
+      area.metadata.outcome = 'skipped_low_confidence';
+      rejected.push(area);
+    } else {
+      accepted.push(area);
+    }
+  }
+  
+  return { accepted, rejected };
+}
+
+module.exports = {
+  validateMinConfidence,
+  scoreArea,
+  scoreAreas,
+  filterByConfidence
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+const { findNearestLabel } = require('./fieldNaming');
+
+// 堆疊空白合併的預設參數（PDF 點）
+const DEFAULT_STACK_OPTIONS = {
+  xTolerance: 6,        // 起訖 X 座標的容許誤差
+  minSpacing: 10,       // 相鄰兩行底部的最小距離
+  maxSpacing: 50,       // 相鄰兩行底部的最大距離
+  spacingVariance: 0.2  // 行距與第一個行距的最大差異比例
+};
+
+// 不參與合併的類型；方框（detector 為 box）另外排除：它已有完整高度，表格同一欄的儲存格也不應合併
+const NON_STACKABLE_TYPES = ['checkbox', 'radio', 'signature', 'initials'];
+
+/**
+ * 將同一頁垂直堆疊、起訖位置相同且行距一致的空白合併為一個多行欄位
+ * 例如 "Comments:" 下方的三條下劃線
+ *
+ * 第一行之後的空白必須是上一行的延續：沒有自己的行內標籤，同一行左側也沒有標籤元素，否則視為各自獨立的欄位
+ * （例如 "Address ____" / "City ____"，或標籤與橫線是不同元素的 "Name:" / "Phone:" 不會被合併），
+ * 因此需在解析最近標籤之前呼叫
+ * @param {Array} fillableAreas - 可填寫區域（PDF 座標）
+ * @param {Object} options - 見 DEFAULT_STACK_OPTIONS，另有 elements（extract_elements）與 geometries（每頁的顯示座標系）
+ * @returns {Array} 合併後的區域；多行欄位帶有 metadata.multiline 與 metadata.lineCount
+ */
+function mergeStackedAreas(fillableAreas, options = {}) {
+  const { xTolerance, minSpacing, maxSpacing, spacingVariance, elements = [], geometries = [] } = {
+    ...DEFAULT_STACK_OPTIONS,
+    ...options
+  };
+  
+  const hasLabel = area => Boolean(
+    area.metadata.label ||
+    (elements.length > 0 && findNearestLabel(area, elements, geometries, { sameLineOnly: true }))
+  );
+  
+  // 由上而下排序，方便往下找下一行
+  const candidates = fillableAreas
+    .filter(area =>
+      !NON_STACKABLE_TYPES.includes(area.field_type) &&
+      area.metadata.detector !== 'box'
+    )
+    .sort((a, b) => a.page - b.page || b.y - a.y);
+  
+  const consumed = new Set();
+  const stacks = new Map();
+  
+  for (const first of candidates) {
+    if (consumed.has(first)) continue;
+    
+    const stack = [first];
+    let spacing = null;
+    
+    for (const next of candidates) {
+      const last = stack[stack.length - 1];
+      if (consumed.has(next) || next.page !== first.page || next.y >= last.y) continue;
+      
+      const sameExtent =
+        Math.abs(next.x - first.x) <= xTolerance &&
+        Math.abs((next.x + next.width) - (first.x + first.width)) <= xTolerance;
+      const gap = last.y - next.y;
+      
+      if (!sameExtent || gap < minSpacing || gap > maxSpacing) continue;
+      if (spacing !== null && Math.abs(gap - spacing) > spacing * spacingVariance) break;
+      // 有自己標籤的下一行是新欄位，段落到此結束
+      if (hasLabel(next)) break;
+      
+      spacing = spacing === null ? gap : spacing;
+      stack.push(next);
+    }
+    
+    if (stack.length < 2) continue;
+    
+    stack.forEach(area => consumed.add(area));
+    stacks.set(first, stack);
+  }
+  
+  const merged = [];
+  for (const area of fillableAreas) {
+    if (stacks.has(area)) {
+      merged.push(mergeStack(stacks.get(area)));
+    } else if (!consumed.has(area)) {
+      merged.push(area);
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * 將一組堆疊的空白合併為單一區域，範圍涵蓋整個段落
+ */
+function mergeStack(stack) {
+  const first = stack[0];
+  const last = stack[stack.length - 1];
+  const left = Math.min(...stack.map(area => area.x));
+  const right = Math.max(...stack.map(area => area.x + area.width));
+  const top = first.y + first.height;
+  
+  return {
+    ...first,
+    x: left,
+    y: last.y,
+    width: right - left,
+    height: top - last.y,
+    metadata: {
+      ...first.metadata,
+      multiline: true,
+      lineCount: stack.length
+    }
+  };
+}
+
+module.exports = {
+  mergeStackedAreas
+};
\ No newline at end of file
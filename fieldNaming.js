@@ -0,0 +1,165 @@
+// 欄位名稱的最大長度（避免整句話變成名稱）
+const MAX_NAME_LENGTH = 40;
+
+// 標籤最多保留的字數
+const MAX_LABEL_WORDS = 6;
+
+/**
+ * 取出空白欄位前方、同一段文字內的標籤
+ * @param {string} text - 元素完整文字
+ * @param {number} startIndex - 空白欄位的起始字元位置
+ * @param {number} previousEnd - 前一個空白欄位的結束位置（沒有則為 -1）
+ * @returns {string|null} 標籤文字，例如 "Date of Birth"
+ */
+function extractInlineLabel(text, startIndex, previousEnd = -1) {
+  const before = text.substring(previousEnd + 1, startIndex).trim();
+  
+  // 只取最後一個句子的片段
+  const sentences = before.split(/[.;?!]\s|[。；？！]/);
+  return cleanLabel(sentences[sentences.length - 1]);
+}
+
+/**
+ * 清理標籤：移除空白欄位符號、頭尾標點，並限制字數
+ */
+function cleanLabel(rawText) {
+  if (!rawText) return null;
+  
+  const cleaned = rawText
+    .replace(/[_＿﹍﹎﹏]{2,}|[☐□]|\[\s*\]/g, ' ')
+    .replace(/^[\s:：.,，、?？()（）「」\-*#]+|[\s:：.,，、?？()（）「」\-*#]+$/g, '')
+    .replace(/\s+/g, ' ');
+  
+  if (!cleaned) return null;
+  
+  const words = cleaned.split(' ');
+  return words.slice(-MAX_LABEL_WORDS).join(' ');
+}
+
+/**
+ * 在同一頁找最接近的標籤元素：優先同一行左側，其次上方
+ * @param {Object} area - 可填寫區域（PDF 座標）
+ * @param {Array} extractElements - extract_elements 陣列
+ * @param {Array} geometries - 每頁的顯示座標系（getPageGeometry）
+ * @param {Object} options - { sameLineOnly }：只找同一行左側的標籤
+ * @returns {string|null} 標籤文字
+ */
+function findNearestLabel(area, extractElements, geometries, options = {}) {
+  const geometry = geometries[area.page];
+  if (!geometry) return null;
+  
+  const pageHeight = geometry.height;
+  const areaTop = area.y + area.height;
+  const areaCenterY = area.y + area.height / 2;
+  
+  let bestLabel = null;
+  let bestDistance = Infinity;
+  
+  for (const element of extractElements) {
+    if (!element.Text || !element.Bounds || (element.Page || 0) !== area.page) continue;
+    
+    const label = cleanLabel(element.Text);
+    if (!label) continue;
+    
+    const [x1, y1, x2, y2] = element.Bounds;
+    const bottom = pageHeight - y2;
+    const top = pageHeight - y1;
+    
+    let distance = Infinity;
+    
+    if (x2 <= area.x + 2 && areaCenterY >= bottom && areaCenterY <= top) {
+      // 同一行左側
+      distance = area.x - x2;
+    } else if (!options.sameLineOnly && bottom >= areaTop - 2 && x1 < area.x + area.width && x2 > area.x) {
+      // 上方且水平重疊（距離加權，讓同一行優先）
+      distance = (bottom - areaTop) * 2 + 10;
+    }
+    
+    if (distance < bestDistance && distance <= area.height * 6 + 50) {
+      bestDistance = distance;
+      bestLabel = label;
+    }
+  }
+  
+  return bestLabel;
+}
+
+/**
+ * 為尚未有標籤的區域找出最接近的標籤元素（會直接修改 metadata.label）
+ */
+function resolveLabels(fillableAreas, extractElements = [], geometries = []) {
+  for (const area of fillableAreas) {
+    if (!area.metadata.label && !area.metadata.group) {
+      area.metadata.label = findNearestLabel(area, extractElements, geometries);
+    }
+  }
+  
+  return fillableAreas;
+}
+
+/**
+ * 將標籤轉換為欄位名稱，例如 "Date of Birth" → "date_of_birth"
+ */
+function toFieldName(label) {
+  if (!label) return null;
+  
+  const name = label
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, MAX_NAME_LENGTH)
+    .replace(/_+$/, '');
+  
+  return name || null;
+}
+
+/**
+ * 為所有區域指定標籤與不重複的欄位名稱；同一單選群組共用名稱
+ * @param {Array} fillableAreas - 可填寫區域（會直接修改 field_name 與 metadata.label）
+ * @param {Array} extractElements - extract_elements 陣列（沒有文字時傳空陣列）
+ * @param {Array} geometries - 每頁的顯示座標系（getPageGeometry）
+ */
+function assignFieldNames(fillableAreas, extractElements = [], geometries = []) {
+  const usedNames = new Set();
+  const groupNames = new Map();
+  
+  for (const area of fillableAreas) {
+    const group = area.metadata.group;
+    
+    if (group && groupNames.has(group)) {
+      const { name, label } = groupNames.get(group);
+      area.field_name = name;
+      area.metadata.label = label;
+      continue;
+    }
+    
+    const label = area.metadata.label || findNearestLabel(area, extractElements, geometries);
+    const baseName = toFieldName(label) || `${area.field_type}_${area.id}`;
+    
+    // 名稱重複時加上 _2、_3 ...
+    let name = baseName;
+    let suffix = 2;
+    while (usedNames.has(name)) {
+      name = `${baseName}_${suffix}`;
+      suffix++;
+    }
+    
+    usedNames.add(name);
+    area.field_name = name;
+    area.metadata.label = label || null;
+    
+    if (group) {
+      groupNames.set(group, { name, label: area.metadata.label });
+    }
+  }
+  
+  return fillableAreas;
+}
+
+module.exports = {
+  extractInlineLabel,
+  findNearestLabel,
+  resolveLabels,
+  toFieldName,
+  assignFieldNames
+};
\ No newline at end of file
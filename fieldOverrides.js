@@ -0,0 +1,156 @@
+const { clampToPage, CREATED_OUTCOMES } = require('./formCreator');
+
+// 座標與調整後的差距超過此值（PDF 點）才發出警告
+const CLAMP_TOLERANCE = 0.5;
+
+/**
+ * 將用戶端提供的欄位轉換為 createFormFields 使用的區域格式
+ * 座標可以直接放在欄位上（x、y、width、height），也可以沿用回應格式放在 coordinates 內；
+ * options 中的設定（option、multiline、label、required）優先於欄位上的同名屬性
+ * @param {Object} field - { name, type, page, x, y, width, height, options }
+ * @param {number} index - 欄位在陣列中的位置（沒有 id 時使用）
+ * @param {string} detector - 寫入 metadata.detector 的來源
+ */
+function fieldToArea(field, index, detector = 'client') {
+  const coordinates = { ...field, ...(field.coordinates || {}) };
+  const settings = { ...field, ...(field.options || {}) };
+  
+  return {
+    id: field.id || index + 1,
+    field_name: field.name,
+    page: field.page,
+    x: parseFloat(coordinates.x),
+    y: parseFloat(coordinates.y),
+    width: parseFloat(coordinates.width),
+    height: parseFloat(coordinates.height),
+    field_type: field.type || 'text',
+    metadata: {
+      detector: detector,
+      label: settings.label || null,
+      option: settings.option,
+      pairedWith: settings.paired_with,
+      multiline: Boolean(settings.multiline),
+      required: Boolean(settings.required)
+    }
+  };
+}
+
+/**
+ * 回應中的欄位是否實際建立；沒有 outcome 的欄位（用戶端自行整理）視為要建立
+ * 偵測時略過的候選（skipped_low_confidence、skipped_overlap 等）送回時也不建立
+ */
+function isCreatedField(field) {
+  return !field || !field.outcome || CREATED_OUTCOMES.includes(field.outcome);
+}
+
+/**
+ * 驗證用戶端提供的欄位並轉換為區域
+ * - 錯誤：缺少名稱、類型不是字串、頁碼不存在、座標不是數字、範圍完全在頁面外、名稱重複、單選按鈕沒有 option
+ * - 警告：範圍部分超出頁面，建立時會與 createFormFields 一樣被限制在頁面內
+ * - 略過：outcome 表示偵測時沒有建立的欄位（見 isCreatedField），與範本相同
+ * 類型不限於預設規則：用戶端 classifier_rules 的類型也會出現在回應中，沒有對應格式的類型建立為文字欄位
+ * @param {Array} fields - 欄位陣列
+ * @param {Array} geometries - 每頁的顯示座標系（getPageGeometry），欄位座標以旋轉、裁切後的頁面為準
+ * @returns {Object} { areas, results, skipped }，results 只包含有錯誤或警告的欄位 [{ index, name, errors, warnings }]
+ */
+function validateFields(fields, geometries) {
+  const areas = [];
+  const results = [];
+  const usedNames = new Map(); // 名稱 → 類型（單選群組可以共用名稱）
+  const radioOptions = new Set();
+  let skipped = 0;
+  
+  fields.forEach((field, index) => {
+    const errors = [];
+    const warnings = [];
+    
+    if (!field || typeof field !== 'object') {
+      results.push({ index, name: null, errors: ['field must be an object'], warnings });
+      return;
+    }
+    
+    if (!isCreatedField(field)) {
+      skipped++;
+      return;
+    }
+    
+    const area = fieldToArea(field, index);
+    const page = geometries[area.page];
+    
+    if (typeof area.field_name !== 'string' || !area.field_name) {
+      errors.push('name must be a non-empty string');
+    } else if (usedNames.has(area.field_name) &&
+               (area.field_type !== 'radio' || usedNames.get(area.field_name) !== 'radio')) {
+      errors.push(`duplicate field name "${area.field_name}"`);
+    }
+    
+    if (typeof area.field_type !== 'string') {
+      errors.push('type must be a non-empty string');
+    }
+    
+    if (area.field_type === 'radio') {
+      if (typeof area.metadata.option !== 'string' || !area.metadata.option) {
+        errors.push('radio fields need an option value');
+      } else if (radioOptions.has(`${area.field_name}/${area.metadata.option}`)) {
+        errors.push(`duplicate radio option "${area.metadata.option}"`);
+      }
+    }
+    
+    if (!Number.isInteger(area.page) || !page) {
+      errors.push(`page must be between 0 and ${geometries.length - 1}`);
+    }
+    
+    const values = { x: area.x, y: area.y, width: area.width, height: area.height };
+    const invalid = Object.keys(values).filter(key => !Number.isFinite(values[key]));
+    if (invalid.length > 0) {
+      errors.push(`${invalid.join(', ')} must be ${invalid.length > 1 ? 'numbers' : 'a number'}`);
+    } else if (area.width <= 0 || area.height <= 0) {
+      errors.push('width and height must be positive');
+    } else if (page) {
+      const bounds = checkPageBounds(area, page.width, page.height);
+      errors.push(...bounds.errors);
+      warnings.push(...bounds.warnings);
+    }
+    
+    if (errors.length === 0) {
+      areas.push(area);
+      usedNames.set(area.field_name, area.field_type);
+      if (area.field_type === 'radio') {
+        radioOptions.add(`${area.field_name}/${area.metadata.option}`);
+      }
+    }
+    
+    if (errors.length > 0 || warnings.length > 0) {
+      results.push({ index, name: area.field_name || null, errors, warnings });
+    }
+  });
+  
+  return { areas, results, skipped };
+}
+
+/**
+ * 檢查欄位是否在頁面內：完全在頁面外為錯誤，部分超出時比較 clampToPage 的結果說明哪些值會被調整
+ * @returns {Object} { errors, warnings }
+ */
+function checkPageBounds(area, pageWidth, pageHeight) {
+  if (area.x >= pageWidth || area.y >= pageHeight ||
+      area.x + area.width <= 0 || area.y + area.height <= 0) {
+    return {
+      errors: [`outside page bounds (${pageWidth.toFixed(0)} x ${pageHeight.toFixed(0)})`],
+      warnings: []
+    };
+  }
+  
+  const clamped = clampToPage(area, pageWidth, pageHeight);
+  const warnings = ['x', 'y', 'width', 'height']
+    .filter(key => Math.abs(clamped[key] - area[key]) > CLAMP_TOLERANCE)
+    .map(key => `${key} will be adjusted from ${area[key].toFixed(2)} to ${clamped[key].toFixed(2)}`);
+  
+  return { errors: [], warnings };
+}
+
+module.exports = {
+  fieldToArea,
+  isCreatedField,
+  validateFields
+};
\ No newline at end of file
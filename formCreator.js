@@ -1,18 +1,105 @@
-const { PDFDocument, rgb, StandardFonts, PDFName, PDFString } = require('pdf-lib');
+const {
+  PDFDocument,
+  rgb,
+  StandardFonts,
+  PDFName,
+  PDFNumber,
+  PDFHexString,
+  TextAlignment,
+  degrees,
+  rotateRectangle,
+  drawRectangle
+} = require('pdf-lib');
+const {
+  calculateOverlapRatio,
+  getPageGeometry,
+  displayToUserPoint,
+  userToDisplayRect
+} = require('./coordinateMapper');
+
+// 與既有表單的合併模式
+const FORM_MODES = ['merge', 'replace', 'skip-if-form'];
+
+// 建立後存在於 PDF 中的欄位結果（metadata.outcome）；其餘為略過或失敗的候選
+const CREATED_OUTCOMES = ['created', 'renamed'];
+
+// 候選欄位與既有 widget 重疊超過此比例時略過
+const EXISTING_OVERLAP_THRESHOLD = 0.5;
+
+// 欄位的最小尺寸（PDF 點）
+const MIN_FIELD_WIDTH = 10;
+const MIN_FIELD_HEIGHT = 5;
+
+// 各地區的預設格式：日期樣式、貨幣符號、千分位樣式（AFNumber 的 sepStyle）
+const LOCALE_FORMATS = {
+  'en-US': { datePattern: 'mm/dd/yyyy', currencySymbol: '$', sepStyle: 0 },
+  'en-GB': { datePattern: 'dd/mm/yyyy', currencySymbol: '£', sepStyle: 0 },
+  'zh-TW': { datePattern: 'yyyy/mm/dd', currencySymbol: 'NT$', sepStyle: 0 },
+  'zh-CN': { datePattern: 'yyyy-mm-dd', currencySymbol: '¥', sepStyle: 0 },
+  'ja-JP': { datePattern: 'yyyy/mm/dd', currencySymbol: '¥', sepStyle: 0 },
+  'de-DE': { datePattern: 'dd.mm.yyyy', currencySymbol: '€', sepStyle: 2 },
+  'fr-FR': { datePattern: 'dd/mm/yyyy', currencySymbol: '€', sepStyle: 3 }
+};
 
 /**
- * 在 PDF 中創建表單欄位（基於 OCR 檢測的座標）
+ * 在 PDF 中創建表單欄位（文字、核取方塊與單選按鈕）
+ * 每個區域的處理結果寫入 metadata.outcome：created、renamed、skipped_overlap、skipped_existing_form 或 error
+ * @param {Buffer} pdfBuffer - 原始 PDF
+ * @param {Array} fillableAreas - 可填寫區域
+ * @param {Object} options - {
+ *   format: { locale, date_pattern, currency_symbol, decimal_places },
+ *   formMode: 'merge'（預設，保留既有欄位）| 'replace'（移除既有欄位）| 'skip-if-form'（已有表單時不處理）
+ * }
  */
-async function createFormFieldsOCR(pdfBuffer, fillableAreas) {
+async function createFormFields(pdfBuffer, fillableAreas, options = {}) {
   const pdfDoc = await PDFDocument.load(pdfBuffer);
   const pages = pdfDoc.getPages();
   const form = pdfDoc.getForm();
+  const radioGroups = new Map();
+  const formatOptions = resolveFormatOptions(options.format);
+  const formMode = options.formMode || 'merge';
   
   // ❌ 移除這行！會導致字體問題
   // const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
   
+  // 先讀取既有的 AcroForm
+  const existingFields = form.getFields();
+  
+  if (formMode === 'skip-if-form' && existingFields.length > 0) {
+    console.log(`  PDF already has ${existingFields.length} form fields, skipping`);
+    fillableAreas.forEach(area => { area.metadata.outcome = 'skipped_existing_form'; });
+    
+    return {
+      pdf_base64: Buffer.from(pdfBuffer).toString('base64'),
+      statistics: {
+        detected_areas: fillableAreas.length,
+        created_fields: 0,
+        errors: 0,
+        existing_fields: existingFields.length,
+        skipped_fields: fillableAreas.length
+      },
+      errors: []
+    };
+  }
+  
+  let removedCount = 0;
+  if (formMode === 'replace') {
+    for (const field of existingFields) {
+      form.removeField(field);
+      removedCount++;
+    }
+  }
+  
+  // 區域座標為顯示座標（旋轉、裁切後的頁面），建立 widget 時才轉換回使用者空間
+  const geometries = pages.map(getPageGeometry);
+  const existingWidgets = formMode === 'merge' ? collectExistingWidgets(pages, geometries, existingFields) : [];
+  const usedNames = new Set(formMode === 'merge' ? existingFields.map(field => field.getName()) : []);
+  const finalNames = new Map(); // 單選群組：原名稱 → 實際名稱
+  
   let successCount = 0;
   let errorCount = 0;
+  let skippedCount = 0;
+  let renamedCount = 0;
   const errors = [];
   
   for (const area of fillableAreas) {
@@ -22,50 +109,90 @@ async function createFormFieldsOCR(pdfBuffer, fillableAreas) {
         throw new Error(`Page ${area.page} not found`);
       }
       
-      const pageHeight = page.getHeight();
-      const pageWidth = page.getWidth();
+      // 與既有 widget 重疊：保留原本的欄位
+      const overlapsExisting = existingWidgets.some(widget =>
+        (widget.page === null || widget.page === area.page) &&
+        calculateOverlapRatio(area, widget) >= EXISTING_OVERLAP_THRESHOLD
+      );
       
-      // 確保座標在頁面範圍內
-      let safeX = Math.max(0, Math.min(area.x, pageWidth - 10));
-      let safeY = Math.max(0, Math.min(area.y, pageHeight - 5));
-      let safeWidth = Math.max(10, Math.min(area.width, pageWidth - safeX));
-      let safeHeight = Math.max(5, Math.min(area.height, pageHeight - safeY));
-      
-      // 創建文字欄位
-      const textField = form.createTextField(area.field_name);
-      textField.setText('');
-      
-      // ✅ 簡化字體設置 - 不嵌入字體
-      const fontSize = Math.max(8, Math.min(safeHeight * 0.6, 12));
-      
-      // ❌ 移除複雜的字體設置
-      // const acroField = textField.acroField;
-      // const defaultAppearance = `0 0 0 rg /Helv ${fontSize} Tf`;
-      // acroField.dict.set(PDFName.of('DA'), PDFString.of(defaultAppearance));
-      
-      // 根據類型設置顏色
-      let borderColor, backgroundColor;
-      
-      if (area.field_type === 'signature') {
-        borderColor = rgb(0, 0, 1);           // 藍色
-        backgroundColor = rgb(0.9, 0.9, 1);
-      } else if (area.field_type === 'currency') {
-        borderColor = rgb(0, 0.6, 0);         // 綠色
-        backgroundColor = rgb(0.9, 1, 0.9);
-      } else {
-        borderColor = rgb(0.7, 0.7, 0.7);     // 灰色
-        backgroundColor = rgb(1, 1, 1);
+      if (overlapsExisting) {
+        area.metadata.outcome = 'skipped_overlap';
+        skippedCount++;
+        continue;
       }
       
-      textField.addToPage(page, {
-        x: safeX,
-        y: safeY,
-        width: safeWidth,
-        height: safeHeight,
+      // 名稱與既有欄位衝突時加上 _2、_3 ...
+      let fieldName = finalNames.get(area.field_name);
+      if (!fieldName) {
+        fieldName = area.field_name;
+        let suffix = 2;
+        while (usedNames.has(fieldName)) {
+          fieldName = `${area.field_name}_${suffix}`;
+          suffix++;
+        }
+        finalNames.set(area.field_name, fieldName);
+      }
+      
+      // 確保座標在頁面範圍內
+      const geometry = geometries[area.page];
+      const safeRect = clampToPage(area, geometry.width, geometry.height);
+      
+      // pdf-lib 以 (x, y) 為旋轉中心、width / height 為正向外觀的尺寸，
+      // 因此傳入顯示範圍左下角在使用者空間的位置，並讓外觀跟著頁面旋轉
+      const origin = displayToUserPoint(safeRect.x, safeRect.y, geometry);
+      
+      const { borderColor, backgroundColor } = getFieldColors(area.field_type);
+      const widgetOptions = {
+        x: origin.x,
+        y: origin.y,
+        width: safeRect.width,
+        height: safeRect.height,
+        rotate: degrees(geometry.rotation),
         borderWidth: 1,
         borderColor: borderColor,
         backgroundColor: backgroundColor,
-      });
+      };
+      
+      if (area.field_type === 'checkbox') {
+        const checkBox = form.createCheckBox(fieldName);
+        checkBox.addToPage(page, widgetOptions);
+      } else if (area.field_type === 'signature') {
+        addSignatureField(pdfDoc, form, page, fieldName, widgetOptions);
+      } else if (area.field_type === 'radio') {
+        // 同一組的選項共用同一個欄位名稱
+        let radioGroup = radioGroups.get(fieldName);
+        if (!radioGroup) {
+          radioGroup = form.createRadioGroup(fieldName);
+          radioGroups.set(fieldName, radioGroup);
+        }
+        radioGroup.addOptionToPage(area.metadata.option, page, widgetOptions);
+      } else {
+        // 創建文字欄位
+        const textField = form.createTextField(fieldName);
+        textField.setText('');
+        
+        // ❌ 移除複雜的字體設置
+        // const acroField = textField.acroField;
+        // const defaultAppearance = `0 0 0 rg /Helv ${fontSize} Tf`;
+        // acroField.dict.set(PDFName.of('DA'), PDFString.of(defaultAppearance));
+        
+        textField.addToPage(page, widgetOptions);
+        if (area.metadata && area.metadata.multiline) {
+          textField.enableMultiline();
+        }
+        applyFieldFormat(pdfDoc, textField, area.field_type, formatOptions);
+      }
+      
+      // 標籤寫入 /TU（檢視器的提示文字），之後從 PDF 產生 schema 時也能取得標題
+      if (area.metadata.label || area.metadata.required) {
+        const createdField = form.getField(fieldName);
+        if (area.metadata.label) {
+          createdField.acroField.dict.set(PDFName.of('TU'), PDFHexString.fromText(area.metadata.label));
+        }
+        if (area.metadata.required) {
+          createdField.enableRequired();
+        }
+      }
       
       // ❌ 移除字體更新
       // try {
@@ -74,6 +201,17 @@ async function createFormFieldsOCR(pdfBuffer, fillableAreas) {
       //   // 忽略外觀更新錯誤
       // }
       
+      usedNames.add(fieldName);
+      
+      if (fieldName !== area.field_name) {
+        area.metadata.originalName = area.field_name;
+        area.field_name = fieldName;
+        area.metadata.outcome = 'renamed';
+        renamedCount++;
+      } else {
+        area.metadata.outcome = 'created';
+      }
+      
       successCount++;
       
       if (successCount % 20 === 0) {
@@ -81,13 +219,14 @@ async function createFormFieldsOCR(pdfBuffer, fillableAreas) {
       }
       
     } catch (error) {
+      area.metadata.outcome = 'error';
       errorCount++;
       errors.push(`${area.field_name}: ${error.message}`);
       console.error(`  ✗ ${area.field_name}: ${error.message}`);
     }
   }
   
-  console.log(`\n✓ Completed: ${successCount} created, ${errorCount} errors`);
+  console.log(`\n✓ Completed: ${successCount} created, ${skippedCount} skipped, ${errorCount} errors`);
   
   // ✅ 使用基本保存選項
   const pdfBytes = await pdfDoc.save({
@@ -98,23 +237,281 @@ async function createFormFieldsOCR(pdfBuffer, fillableAreas) {
   const base64Pdf = Buffer.from(pdfBytes).toString('base64');
   
   const fieldStats = {
-    text: fillableAreas.filter(f => f.field_type === 'text').length,
-    signature: fillableAreas.filter(f => f.field_type === 'signature').length,
-    currency: fillableAreas.filter(f => f.field_type === 'currency').length
+    text: 0,
+    signature: 0,
+    currency: 0,
+    date: 0,
+    checkbox: 0,
+    radio: 0
   };
   
+  // 其他分類（email、phone 等）出現時才列出
+  for (const area of fillableAreas) {
+    fieldStats[area.field_type] = (fieldStats[area.field_type] || 0) + 1;
+  }
+  
   return {
     pdf_base64: base64Pdf,
     statistics: {
       detected_areas: fillableAreas.length,
       created_fields: successCount,
       errors: errorCount,
+      existing_fields: existingFields.length,
+      removed_fields: removedCount,
+      skipped_fields: skippedCount,
+      renamed_fields: renamedCount,
       ...fieldStats
     },
     errors: errors
   };
 }
 
+/**
+ * 將欄位範圍限制在頁面內（最小 10 × 5）
+ * @returns {Object} { x, y, width, height }
+ */
+function clampToPage(area, pageWidth, pageHeight) {
+  const x = Math.max(0, Math.min(area.x, pageWidth - MIN_FIELD_WIDTH));
+  const y = Math.max(0, Math.min(area.y, pageHeight - MIN_FIELD_HEIGHT));
+  
+  return {
+    x: x,
+    y: y,
+    width: Math.max(MIN_FIELD_WIDTH, Math.min(area.width, pageWidth - x)),
+    height: Math.max(MIN_FIELD_HEIGHT, Math.min(area.height, pageHeight - y))
+  };
+}
+
+/**
+ * 收集既有欄位的 widget 位置（轉換為顯示座標）；沒有 /P 的 widget 頁碼為 null（視為任何頁面，保留使用者空間座標）
+ */
+function collectExistingWidgets(pages, geometries, existingFields) {
+  const pageIndexByRef = new Map(pages.map((page, index) => [page.ref.toString(), index]));
+  const widgets = [];
+  
+  for (const field of existingFields) {
+    for (const widget of field.acroField.getWidgets()) {
+      const pageRef = widget.P();
+      const pageIndex = pageRef ? pageIndexByRef.get(pageRef.toString()) : undefined;
+      
+      const rect = widget.getRectangle();
+      
+      widgets.push({
+        ...(pageIndex === undefined ? rect : userToDisplayRect(rect, geometries[pageIndex])),
+        page: pageIndex === undefined ? null : pageIndex,
+        name: field.getName()
+      });
+    }
+  }
+  
+  return widgets;
+}
+
+/**
+ * 建立 /FT /Sig 簽名欄位（pdf-lib 沒有建立簽名欄位的 API，直接寫入欄位字典）
+ * 欄位與 widget 合併為同一個字典，讓電子簽章工具能辨識
+ */
+function addSignatureField(pdfDoc, form, page, name, options) {
+  if (form.getFieldMaybe(name)) {
+    throw new Error(`A field already exists with the specified name: "${name}"`);
+  }
+  
+  const { rotate, borderWidth, borderColor, backgroundColor } = options;
+  const rotation = rotate ? rotate.angle : 0;
+  
+  // 與 pdf-lib 建立的 widget 相同：以 (x, y) 為中心旋轉
+  const { x, y, width, height } = rotateRectangle(options, 0, rotation);
+  
+  // 外觀串流（背景與邊框）：沒有 /AP 時 pdf-lib 無法移除或攤平這個欄位；
+  // BBox 與旋轉後的 Rect 同尺寸，矩形旋轉後仍是矩形，不需要另外旋轉
+  const appearanceRef = pdfDoc.context.register(pdfDoc.context.formXObject(
+    drawRectangle({
+      x: borderWidth / 2,
+      y: borderWidth / 2,
+      width: width - borderWidth,
+      height: height - borderWidth,
+      borderWidth: borderWidth,
+      color: backgroundColor,
+      borderColor: borderColor,
+      rotate: degrees(0),
+      xSkew: degrees(0),
+      ySkew: degrees(0)
+    }),
+    { BBox: [0, 0, width, height] }
+  ));
+  
+  const signatureDict = pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFHexString.fromText(name),
+    Rect: [x, y, x + width, y + height],
+    F: 4, // Print
+    P: page.ref,
+    BS: { W: borderWidth },
+    MK: {
+      BC: [borderColor.red, borderColor.green, borderColor.blue],
+      BG: [backgroundColor.red, backgroundColor.green, backgroundColor.blue],
+      ...(rotation ? { R: rotation } : {})
+    },
+    AP: { N: appearanceRef }
+  });
+  const signatureRef = pdfDoc.context.register(signatureDict);
+  
+  page.node.addAnnot(signatureRef);
+  form.acroForm.addField(signatureRef);
+  
+  // 表示文件含有簽名欄位
+  form.acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(1));
+  
+  return signatureRef;
+}
+
+/**
+ * 驗證 format_options：{ locale, date_pattern, currency_symbol, decimal_places }
+ * @returns {string|null} 錯誤訊息，沒有錯誤時為 null
+ */
+function validateFormatOptions(format) {
+  if (format === undefined) return null;
+  
+  if (!format || typeof format !== 'object' || Array.isArray(format)) {
+    return 'format_options must be an object';
+  }
+  
+  if (format.locale !== undefined && !LOCALE_FORMATS[format.locale]) {
+    return `format_options.locale must be one of: ${Object.keys(LOCALE_FORMATS).join(', ')}`;
+  }
+  
+  if (format.date_pattern !== undefined && (typeof format.date_pattern !== 'string' || !format.date_pattern.trim())) {
+    return 'format_options.date_pattern must be a non-empty string';
+  }
+  
+  if (format.currency_symbol !== undefined && typeof format.currency_symbol !== 'string') {
+    return 'format_options.currency_symbol must be a string';
+  }
+  
+  if (format.decimal_places !== undefined &&
+      !(Number.isInteger(format.decimal_places) && format.decimal_places >= 0 && format.decimal_places <= 10)) {
+    return 'format_options.decimal_places must be an integer between 0 and 10';
+  }
+  
+  return null;
+}
+
+/**
+ * 合併請求的格式選項與地區預設值
+ */
+function resolveFormatOptions(format = {}) {
+  const locale = LOCALE_FORMATS[format.locale] ? format.locale : 'en-US';
+  const defaults = LOCALE_FORMATS[locale];
+  
+  return {
+    datePattern: format.date_pattern || defaults.datePattern,
+    currencySymbol: format.currency_symbol !== undefined ? format.currency_symbol : defaults.currencySymbol,
+    decimalPlaces: Number.isInteger(format.decimal_places) ? format.decimal_places : 2,
+    sepStyle: defaults.sepStyle
+  };
+}
+
+/**
+ * 日期樣式格式化後的最長長度：m、d 等單字母代號最多兩位數（例如 m/d/yyyy 為 10），其他字元原樣計算
+ * 月份或星期名稱（mmm、ddd 以上）的長度不固定，回傳 null（不限制長度）
+ */
+function getDateMaxLength(pattern) {
+  if (/mmm|ddd/.test(pattern)) return null;
+  
+  return pattern
+    .replace(/yyyy/g, '0000')
+    .replace(/yy|mm?|dd?|HH?|hh?|MM?|ss?|tt?/g, '00')
+    .length;
+}
+
+/**
+ * 為日期、金額與百分比欄位加上 AcroForm 格式化／按鍵驗證動作（AFDate、AFNumber、AFPercent），
+ * 並依類型設定對齊、多行與長度限制
+ */
+function applyFieldFormat(pdfDoc, textField, fieldType, formatOptions) {
+  let formatScript;
+  let keystrokeScript;
+  
+  if (fieldType === 'date') {
+    const pattern = JSON.stringify(formatOptions.datePattern);
+    formatScript = `AFDate_FormatEx(${pattern});`;
+    keystrokeScript = `AFDate_KeystrokeEx(${pattern});`;
+    const maxLength = getDateMaxLength(formatOptions.datePattern);
+    if (maxLength !== null) {
+      textField.setMaxLength(maxLength);
+    }
+  } else if (fieldType === 'currency') {
+    const args = [
+      formatOptions.decimalPlaces,
+      formatOptions.sepStyle,
+      0, // 負數樣式：減號
+      0,
+      JSON.stringify(formatOptions.currencySymbol),
+      true // 貨幣符號在數字前
+    ].join(', ');
+    formatScript = `AFNumber_Format(${args});`;
+    keystrokeScript = `AFNumber_Keystroke(${args});`;
+    textField.setAlignment(TextAlignment.Right);
+  } else if (fieldType === 'percentage') {
+    formatScript = `AFPercent_Format(${formatOptions.decimalPlaces}, ${formatOptions.sepStyle});`;
+    keystrokeScript = `AFPercent_Keystroke(${formatOptions.decimalPlaces}, ${formatOptions.sepStyle});`;
+    textField.setAlignment(TextAlignment.Right);
+  } else {
+    // 不需要格式化動作的類型只調整欄位屬性
+    if (fieldType === 'address') {
+      textField.enableMultiline();
+    } else if (fieldType === 'initials') {
+      textField.setAlignment(TextAlignment.Center);
+      textField.setMaxLength(4);
+    } else if (fieldType === 'zip') {
+      textField.setMaxLength(10);
+    }
+    return;
+  }
+  
+  const javaScriptAction = (script) => pdfDoc.context.obj({
+    Type: 'Action',
+    S: 'JavaScript',
+    JS: PDFHexString.fromText(script)
+  });
+  
+  textField.acroField.dict.set(PDFName.of('AA'), pdfDoc.context.obj({
+    F: javaScriptAction(formatScript),
+    K: javaScriptAction(keystrokeScript)
+  }));
+}
+
+/**
+ * 根據欄位類型決定邊框與背景顏色
+ */
+function getFieldColors(fieldType) {
+  if (fieldType === 'signature') {
+    return { borderColor: rgb(0, 0, 1), backgroundColor: rgb(0.9, 0.9, 1) };         // 藍色
+  }
+  
+  if (fieldType === 'currency') {
+    return { borderColor: rgb(0, 0.6, 0), backgroundColor: rgb(0.9, 1, 0.9) };       // 綠色
+  }
+  
+  if (fieldType === 'date') {
+    return { borderColor: rgb(0.8, 0.4, 0), backgroundColor: rgb(1, 0.95, 0.9) };    // 橘色
+  }
+  
+  if (fieldType === 'checkbox' || fieldType === 'radio') {
+    return { borderColor: rgb(0, 0, 0), backgroundColor: rgb(1, 1, 1) };             // 黑色
+  }
+  
+  return { borderColor: rgb(0.7, 0.7, 0.7), backgroundColor: rgb(1, 1, 1) };         // 灰色
+}
+
 module.exports = {
-  createFormFieldsOCR
+  FORM_MODES,
+  CREATED_OUTCOMES,
+  validateFormatOptions,
+  createFormFields,
+  createFormFieldsOCR: createFormFields,
+  clampToPage,
+  getFieldColors
 };
\ No newline at end of file
@@ -0,0 +1,311 @@
+const fs = require('fs/promises');
+const fontkit = require('@pdf-lib/fontkit');
+const {
+  PDFDocument,
+  PDFName,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFSignature,
+  StandardFonts
+} = require('pdf-lib');
+
+// 支援中日韓文字的字型（TTF、OTF 或 TTC 字型集），依序使用第一個存在的檔案；
+// 部署時由 fonts-noto-cjk 套件提供（見 render.yaml）
+const CJK_FONT_PATHS = [
+  process.env.CJK_FONT_PATH,
+  '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc',
+  '/usr/share/fonts/opentype/noto/NotoSansCJKtc-Regular.otf',
+  '/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc',
+  '/usr/share/fonts/truetype/droid/DroidSansFallbackFull.ttf'
+].filter(Boolean);
+
+// TTC 字型集中使用的字型（PostScript 名稱），找不到時使用第一個
+const CJK_FONT_NAME = process.env.CJK_FONT_NAME || 'NotoSansCJKtc-Regular';
+
+// 視為勾選的值（不分大小寫）；核取方塊的匯出值（例如 "Yes"）也算勾選
+const CHECKED_VALUES = ['true', 'yes', 'on', '1', 'x', 'checked'];
+
+// ISO 日期（YYYY-MM-DD，可帶時間）會依欄位的 AFDate 樣式格式化
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/;
+
+let cjkFontBytes; // 讀取一次後快取（找不到時為 null）
+let cjkFontFace;  // fontkit 解析後的字型（TTC 時為其中一個字型）
+
+/**
+ * 以 { 欄位名稱: 值 } 填寫表單，並為填寫的欄位產生外觀
+ * - 文字欄位：日期欄位收到 ISO 日期時依欄位格式（AFDate_FormatEx）轉換；標準字型無法顯示的文字改用 CJK 字型
+ * - 核取方塊：true、"yes"、"on"、"1"、"x" 或匯出值為勾選，其餘為取消
+ * - 單選群組、下拉選單：值必須是其中一個選項；null 清除選擇
+ * @param {Buffer} pdfBuffer - 含有表單的 PDF
+ * @param {Object} values - { 欄位名稱: 值 }
+ * @param {Object} options - { flatten }：true 時將欄位內容寫入頁面並移除表單
+ * @returns {Promise<Object>} { pdf_base64, statistics, fields: [{ name, type, status, value, error }], errors }
+ */
+async function fillForm(pdfBuffer, values, options = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const form = pdfDoc.getForm();
+  const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  let cjkFont = null;
+  
+  const results = [];
+  const errors = [];
+  
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.getFieldMaybe(name);
+    if (!field) {
+      results.push({ name, type: null, status: 'not_found' });
+      continue;
+    }
+    
+    const type = getFieldType(field);
+    
+    try {
+      let filledValue;
+      
+      if (field instanceof PDFTextField) {
+        filledValue = value === null || value === undefined ? '' : formatTextValue(field, value);
+        
+        // 標準字型只支援 WinAnsi 字元，其他文字（中日韓等）需要嵌入字型；
+        // 先取得字型再寫入，找不到字型時欄位維持原值，錯誤只影響這個欄位
+        let font = helvetica;
+        if (!canEncode(helvetica, filledValue)) {
+          cjkFont = cjkFont || await embedCjkFont(pdfDoc);
+          font = cjkFont;
+        }
+        
+        field.setText(filledValue);
+        field.updateAppearances(font);
+      } else if (field instanceof PDFCheckBox) {
+        filledValue = isChecked(field, value);
+        if (filledValue) {
+          field.check();
+        } else {
+          field.uncheck();
+        }
+      } else if (field instanceof PDFRadioGroup || field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        filledValue = selectOption(field, value);
+      } else if (field instanceof PDFSignature) {
+        throw new Error('signature fields must be signed, not filled');
+      } else {
+        throw new Error(`unsupported field type ${type}`);
+      }
+      
+      results.push({ name, type, status: 'filled', value: filledValue });
+    } catch (error) {
+      results.push({ name, type, status: 'error', error: error.message });
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+  
+  if (options.flatten) {
+    // 文字欄位已各自產生外觀；其餘需要更新的欄位以標準字型更新，避免覆蓋 CJK 字型的外觀。
+    // 標準字型無法顯示的既有內容只回報錯誤，該欄位沒有外觀，攤平時移除
+    for (const field of form.getFields()) {
+      if (!field.needsAppearancesUpdate()) continue;
+      
+      try {
+        field.defaultUpdateAppearances(helvetica);
+      } catch (error) {
+        errors.push(`${field.getName()}: appearance could not be updated for flattening (${error.message})`);
+      }
+    }
+    removeFieldsWithoutAppearance(pdfDoc, form);
+    form.flatten({ updateFieldAppearances: false });
+    removeDanglingAnnots(pdfDoc);
+  }
+  
+  const pdfBytes = await pdfDoc.save({
+    useObjectStreams: false,
+    updateFieldAppearances: false
+  });
+  
+  const count = status => results.filter(result => result.status === status).length;
+  
+  return {
+    pdf_base64: Buffer.from(pdfBytes).toString('base64'),
+    statistics: {
+      requested_fields: results.length,
+      filled_fields: count('filled'),
+      not_found_fields: count('not_found'),
+      errors: count('error'),
+      flattened: Boolean(options.flatten)
+    },
+    fields: results,
+    errors: errors
+  };
+}
+
+/**
+ * 欄位在 PDF 中的類型（與 pdf-lib 的欄位類別對應）
+ */
+function getFieldType(field) {
+  if (field instanceof PDFTextField) return 'text';
+  if (field instanceof PDFCheckBox) return 'checkbox';
+  if (field instanceof PDFRadioGroup) return 'radio';
+  if (field instanceof PDFDropdown) return 'dropdown';
+  if (field instanceof PDFOptionList) return 'option_list';
+  if (field instanceof PDFSignature) return 'signature';
+  return 'unknown';
+}
+
+/**
+ * 文字欄位的值：日期欄位（有 AFDate_FormatEx 格式化動作）收到 ISO 日期時轉換為欄位的樣式
+ */
+function formatTextValue(field, value) {
+  const text = String(value);
+  const pattern = getDatePattern(field);
+  const match = pattern && text.match(ISO_DATE_REGEX);
+  
+  // 月份名稱（mmm、mmmm）等樣式交給檢視器處理，原值不變
+  if (!match || /mmm/.test(pattern)) return text;
+  
+  const [, year, month, day] = match;
+  return pattern
+    .replace(/yyyy/g, year)
+    .replace(/yy/g, year.slice(2))
+    .replace(/mm/g, month)
+    .replace(/dd/g, day)
+    .replace(/m/g, String(parseInt(month, 10)))
+    .replace(/d/g, String(parseInt(day, 10)));
+}
+
+/**
+ * 讀取欄位格式化動作（/AA /F）的 JavaScript，沒有時為 null
+ */
+function getFormatScript(field) {
+  const additionalActions = field.acroField.dict.lookup(PDFName.of('AA'));
+  const formatAction = additionalActions && additionalActions.lookup(PDFName.of('F'));
+  const script = formatAction && formatAction.lookup(PDFName.of('JS'));
+  if (!script || typeof script.decodeText !== 'function') return null;
+  
+  return script.decodeText();
+}
+
+/**
+ * 從欄位的格式化動作讀取 AFDate_FormatEx 的日期樣式，沒有時為 null
+ */
+function getDatePattern(field) {
+  const script = getFormatScript(field);
+  const match = script && script.match(/AFDate_FormatEx\("([^"]+)"\)/);
+  return match ? match[1] : null;
+}
+
+function isChecked(checkBox, value) {
+  if (typeof value === 'boolean') return value;
+  if (value === null || value === undefined) return false;
+  
+  const text = String(value).toLowerCase();
+  const onValue = checkBox.acroField.getOnValue();
+  
+  return CHECKED_VALUES.includes(text) || Boolean(onValue && onValue.decodeText().toLowerCase() === text);
+}
+
+/**
+ * 選擇單選群組或下拉選單的選項；null 清除選擇
+ */
+function selectOption(field, value) {
+  if (value === null || value === undefined || value === '') {
+    field.clear();
+    return null;
+  }
+  
+  const option = String(value);
+  const options = field.getOptions();
+  if (!options.includes(option)) {
+    throw new Error(`"${option}" is not one of the options: ${options.join(', ')}`);
+  }
+  
+  field.select(option);
+  return option;
+}
+
+function canEncode(font, text) {
+  try {
+    // 換行由欄位排版處理，不需要字型支援
+    font.encodeText(text.replace(/[\r\n]/g, ''));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 嵌入 CJK 字型（只嵌入用到的字形）；找不到字型檔時拋出錯誤
+ * TTC 字型集由 fontkit 取出 CJK_FONT_NAME 的字型後交給 pdf-lib（pdf-lib 只接受單一字型）
+ */
+async function embedCjkFont(pdfDoc) {
+  if (cjkFontBytes === undefined) {
+    cjkFontBytes = null;
+    for (const fontPath of CJK_FONT_PATHS) {
+      try {
+        const bytes = await fs.readFile(fontPath);
+        const font = fontkit.create(bytes);
+        cjkFontFace = font.fonts ? (font.getFont(CJK_FONT_NAME) || font.fonts[0]) : font;
+        cjkFontBytes = bytes;
+        break;
+      } catch (error) {
+        // 檔案不存在或無法解析，試下一個路徑
+      }
+    }
+  }
+  
+  if (!cjkFontBytes) {
+    throw new Error('text needs a CJK font but none was found (set CJK_FONT_PATH to a TTF, OTF or TTC file)');
+  }
+  
+  pdfDoc.registerFontkit({ create: () => cjkFontFace });
+  return pdfDoc.embedFont(cjkFontBytes, { subset: true });
+}
+
+/**
+ * 沒有外觀的欄位（例如尚未簽署的簽名欄位）無法攤平，直接移除
+ * （form.removeField 需要外觀才能找到 widget，因此自行從頁面的 /Annots 移除）
+ */
+function removeFieldsWithoutAppearance(pdfDoc, form) {
+  for (const field of form.getFields()) {
+    const widgets = field.acroField.getWidgets();
+    if (widgets.every(widget => widget.getAppearances())) continue;
+    
+    const widgetDicts = new Set(widgets.map(widget => widget.dict));
+    for (const page of pdfDoc.getPages()) {
+      const annots = page.node.Annots();
+      if (!annots) continue;
+      
+      for (let i = annots.size() - 1; i >= 0; i--) {
+        if (widgetDicts.has(annots.lookup(i))) {
+          const annotRef = annots.get(i);
+          annots.remove(i);
+          if (annotRef !== field.ref) pdfDoc.context.delete(annotRef);
+        }
+      }
+    }
+    
+    form.acroForm.removeField(field.acroField);
+    pdfDoc.context.delete(field.ref);
+  }
+}
+
+/**
+ * form.flatten 只從 /Annots 移除欄位本身，欄位與 widget 分開時（Kids）widget 已刪除但參照還留著，
+ * 留下的參照會讓部分檢視器顯示錯誤，因此移除指向不存在物件的參照
+ */
+function removeDanglingAnnots(pdfDoc) {
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+    
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      if (!annots.lookup(i)) annots.remove(i);
+    }
+  }
+}
+
+module.exports = {
+  fillForm,
+  getFieldType,
+  getFormatScript,
+  getDatePattern
+};
\ No newline at end of file
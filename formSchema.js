@@ -0,0 +1,190 @@
+const {
+  PDFDocument,
+  PDFName,
+  PDFTextField,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList
+} = require('pdf-lib');
+const { getPageGeometry, userToDisplayRect } = require('./coordinateMapper');
+const { classifyField } = require('./fieldClassifier');
+const { getFieldType, getFormatScript, getDatePattern } = require('./formFiller');
+const { CREATED_OUTCOMES } = require('./formCreator');
+
+const JSON_SCHEMA_VERSION = 'https://json-schema.org/draft/2020-12/schema';
+
+// 文字欄位依分類對應的 JSON Schema，其餘為字串；日期以 ISO 格式填寫，/fill 會轉換為欄位的樣式
+const TEXT_TYPE_SCHEMAS = {
+  date: { type: 'string', format: 'date' },
+  email: { type: 'string', format: 'email' },
+  currency: { type: 'number' },
+  percentage: { type: 'number' },
+  number: { type: 'number' }
+};
+
+// 不以資料填寫的欄位（簽名、按鈕），只列在欄位清單中
+const NON_DATA_TYPES = ['signature', 'unknown'];
+
+// 座標的小數位數（只去除浮點誤差，例如 147.78399999999993）
+const COORDINATE_DECIMALS = 4;
+
+/**
+ * 讀取 PDF 的表單欄位，產生描述表單資料的 JSON Schema 與完整精度的欄位清單
+ * 座標與其他 API 相同：顯示頁面（旋轉、裁切後）左下角為原點，單位為 PDF 點
+ * @param {Buffer} pdfBuffer - 含有表單的 PDF
+ * @param {Object} options - { fields }：建立表單時回應的 fields，提供標籤與分類；沒有時由欄位的 /TU、格式化動作與名稱判斷
+ * @returns {Promise<Object>} { schema, manifest }
+ */
+async function buildFormSchema(pdfBuffer, options = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const pages = pdfDoc.getPages();
+  const geometries = pages.map(getPageGeometry);
+  
+  const knownFields = new Map(
+    (options.fields || [])
+      .filter(field => !field.outcome || CREATED_OUTCOMES.includes(field.outcome))
+      .map(field => [field.name, field])
+  );
+  
+  // widget 字典 → 頁碼（widget 不一定有 /P，因此從每頁的 /Annots 查）
+  const pageByWidget = new Map();
+  pages.forEach((page, index) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    
+    for (let i = 0; i < annots.size(); i++) {
+      pageByWidget.set(annots.lookup(i), index);
+    }
+  });
+  
+  const manifest = pdfDoc.getForm().getFields().map(field => (
+    describeField(field, knownFields.get(field.getName()), pageByWidget, geometries)
+  ));
+  
+  return {
+    schema: toJsonSchema(manifest, pdfDoc.getTitle()),
+    manifest: manifest
+  };
+}
+
+/**
+ * 欄位清單的單一項目：類型、限制與每個 widget 的位置
+ */
+function describeField(field, knownField, pageByWidget, geometries) {
+  const pdfType = getFieldType(field);
+  const label = (knownField && knownField.label) || getTooltip(field);
+  
+  const entry = {
+    name: field.getName(),
+    type: (knownField && knownField.type) || detectFieldType(field, pdfType, label),
+    pdf_type: pdfType,
+    label: label,
+    required: field.isRequired(),
+    read_only: field.isReadOnly()
+  };
+  
+  if (field instanceof PDFTextField) {
+    const maxLength = field.getMaxLength();
+    entry.multiline = field.isMultiline();
+    entry.max_length = maxLength === undefined ? null : maxLength;
+    entry.date_pattern = getDatePattern(field) || undefined;
+  }
+  
+  const isChoice = field instanceof PDFRadioGroup || field instanceof PDFDropdown || field instanceof PDFOptionList;
+  if (isChoice) {
+    entry.options = field.getOptions();
+  }
+  
+  // 單選群組的選項與 widget 順序相同
+  entry.widgets = field.acroField.getWidgets().map((widget, index) => {
+    const page = pageByWidget.has(widget.dict) ? pageByWidget.get(widget.dict) : null;
+    const rect = page === null ? widget.getRectangle() : userToDisplayRect(widget.getRectangle(), geometries[page]);
+    const round = value => parseFloat(value.toFixed(COORDINATE_DECIMALS));
+    
+    return {
+      page: page,
+      x: round(rect.x),
+      y: round(rect.y),
+      width: round(rect.width),
+      height: round(rect.height),
+      option: field instanceof PDFRadioGroup ? entry.options[index] : undefined
+    };
+  });
+  
+  return entry;
+}
+
+/**
+ * 沒有建立時的分類：文字欄位依格式化動作判斷日期、百分比與數字，否則以標籤或名稱套用預設分類規則
+ */
+function detectFieldType(field, pdfType, label) {
+  if (pdfType !== 'text') return pdfType;
+  
+  const script = getFormatScript(field) || '';
+  if (/AFDate_/.test(script)) return 'date';
+  if (/AFPercent_/.test(script)) return 'percentage';
+  if (/AFNumber_/.test(script)) {
+    // 有貨幣符號參數時為金額
+    return /AFNumber_Format\([^)]*"[^"]+"/.test(script) ? 'currency' : 'number';
+  }
+  
+  return classifyField(label, field.getName().replace(/[_-]+/g, ' '));
+}
+
+function getTooltip(field) {
+  const tooltip = field.acroField.dict.lookup(PDFName.of('TU'));
+  return tooltip && typeof tooltip.decodeText === 'function' ? tooltip.decodeText() : null;
+}
+
+/**
+ * 由欄位清單產生 JSON Schema：每個可填寫的欄位一個屬性，值的格式與 /fill 接受的相同
+ */
+function toJsonSchema(manifest, title) {
+  const properties = {};
+  const required = [];
+  
+  for (const entry of manifest) {
+    if (NON_DATA_TYPES.includes(entry.pdf_type)) continue;
+    
+    properties[entry.name] = fieldSchema(entry);
+    if (entry.required) {
+      required.push(entry.name);
+    }
+  }
+  
+  return {
+    $schema: JSON_SCHEMA_VERSION,
+    title: title || 'PDF form',
+    type: 'object',
+    properties: properties,
+    required: required,
+    additionalProperties: false
+  };
+}
+
+function fieldSchema(entry) {
+  let schema;
+  
+  if (entry.pdf_type === 'checkbox') {
+    schema = { type: 'boolean' };
+  } else if (entry.options) {
+    schema = { type: 'string', enum: entry.options };
+  } else {
+    schema = { ...(TEXT_TYPE_SCHEMAS[entry.type] || { type: 'string' }) };
+    
+    // 有格式的值（例如 ISO 日期）與欄位中顯示的長度不同，不加長度限制
+    if (entry.max_length && schema.type === 'string' && !schema.format) {
+      schema.maxLength = entry.max_length;
+    }
+  }
+  
+  return {
+    title: entry.label || entry.name,
+    ...schema,
+    ...(entry.read_only ? { readOnly: true } : {})
+  };
+}
+
+module.exports = {
+  buildFormSchema
+};
\ No newline at end of file
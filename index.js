@@ -1,12 +1,66 @@
 const express = require('express');
 const cors = require('cors');
-const { PDFDocument, rgb } = require('pdf-lib');
+const { PDFDocument } = require('pdf-lib');
 const logger = require('./logger');
+const { renderPages, parsePageRanges } = require('./pdfToImage');
+const { detectHorizontalLinesInRegion, detectBoxesInRegion, filterBoxEdges } = require('./lineDetector');
+const { pixelToPDFCoordinates, getPageGeometry } = require('./coordinateMapper');
+const { FORM_MODES, validateFormatOptions, createFormFields } = require('./formCreator');
+const { extractInlineLabel, resolveLabels, assignFieldNames } = require('./fieldNaming');
+const { validateRules, buildRules, classifyField, classifyAreas } = require('./fieldClassifier');
+const { mergeStackedAreas } = require('./fieldLayout');
+const { PREVIEW_FORMATS, renderPreview, buildContactSheet } = require('./previewRenderer');
+const {
+  computeFingerprint,
+  validateTemplate,
+  saveTemplate,
+  getTemplate,
+  listTemplates,
+  deleteTemplate,
+  findTemplateByFingerprint,
+  templateToAreas
+} = require('./templateStore');
+const { submitJob, getJob, summarizeJob } = require('./jobQueue');
+const { validateFields } = require('./fieldOverrides');
+const { validateBoundsFormat, normalizeElements } = require('./boundsFormats');
+const { validateMinConfidence, scoreAreas, filterByConfidence } = require('./fieldConfidence');
+const { fillForm } = require('./formFiller');
+const { buildFormSchema } = require('./formSchema');
+const {
+  loadTextRuns,
+  measureSegments,
+  buildExtractElements,
+  estimateCharOffsets
+} = require('./textMetrics');
+const {
+  RESULT_HEADER,
+  acceptPdfUpload,
+  hasPdfInput,
+  readPdfInput,
+  sendFormResult
+} = require('./requestIO');
+
+// 互斥的選項組合，同一行出現時建立單選群組
+const EXCLUSIVE_OPTION_SETS = [
+  ['yes', 'no', 'n/a'],
+  ['male', 'female', 'other'],
+  ['true', 'false'],
+  ['agree', 'disagree'],
+  ['single', 'married', 'divorced', 'widowed'],
+  ['是', '否'],
+  ['男', '女'],
+  ['有', '無', '无'],
+  ['同意', '不同意'],
+  ['未婚', '已婚', '離婚', '离婚', '喪偶', '丧偶']
+];
+
+// 文字或數字（判斷下劃線是否夾在單字中間）
+const WORD_CHAR_REGEX = /[\p{L}\p{N}]/u;
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-app.use(cors());
+app.use(cors({ exposedHeaders: [RESULT_HEADER] }));
 app.use(express.json({ limit: '50mb' }));
 
 app.get('/', (req, res) => {
@@ -20,148 +74,264 @@ app.get('/', (req, res) => {
       'Direct underscore detection in text',
       'Precise coordinate calculation',
       'Handles multiple underscores per line',
+      'Built-in text extraction when extract_elements is omitted',
+      'Bounds in other conventions via bounds_format (presets for common extraction tools)',
+      'Accepts pdf_url, pdf_base64 or multipart uploads',
+      'Line detection for scanned PDFs (/process-image)',
+      'Keeps existing AcroForm fields (form_mode: merge, replace, skip-if-form)',
+      'Preview mode with annotated page images (preview: pages, contact_sheet)',
+      'Reusable field templates matched by PDF fingerprint (/templates)',
+      'Build forms from reviewed field lists (/process-fields)',
+      'Asynchronous jobs with progress and webhooks (/jobs)',
+      'Rotated pages and offset MediaBox/CropBox (coordinates follow the displayed page)',
+      'Confidence score per detected field with min_confidence filter',
+      'Fill generated forms with values, optional flattening (/fill)',
+      'JSON Schema and field manifest export (include_schema, /schema)',
       '95%+ accuracy'
     ]
   });
 });
 
-app.post('/process-ocr', async (req, res) => {
-  const startTime = Date.now();
-  
+app.post('/process-ocr', acceptPdfUpload, async (req, res) => {
   try {
-    const { pdf_url, extract_elements } = req.body;
+    if (!hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64 or a multipart "pdf" file is required'
+      });
+    }
     
-    if (!pdf_url) {
-      return res.status(400).json({ success: false, error: 'pdf_url is required' });
+    const optionsError = validateTextOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
     }
     
-    if (!extract_elements || !Array.isArray(extract_elements)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'extract_elements array is required' 
+    logger.info('='.repeat(60));
+    logger.info('Text Coordinate Processing Started');
+    logger.info('='.repeat(60));
+    
+    // Step 1: 讀取 PDF（上傳、base64 或下載）
+    logger.info('\n[Step 1] Loading PDF...');
+    const pdfBuffer = await readPdfInput(req);
+    logger.info(`✓ PDF loaded: ${(pdfBuffer.length / 1024).toFixed(2)} KB`);
+    
+    const result = await attachFormSchema(await processTextCoordinates(pdfBuffer, req.body), req.body.include_schema);
+    sendFormResult(res, result, result.preview ? 'json' : req.body.response_format);
+    
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+app.post('/process-image', acceptPdfUpload, async (req, res) => {
+  try {
+    if (!hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64 or a multipart "pdf" file is required'
       });
     }
     
+    const optionsError = validateImageOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+    
     logger.info('='.repeat(60));
-    logger.info('Text Coordinate Processing Started');
+    logger.info('Line Detection Processing Started');
     logger.info('='.repeat(60));
     
-    // Step 1: 下載 PDF
-    logger.info('\n[Step 1] Downloading PDF...');
-    const pdfResponse = await fetch(pdf_url);
-    if (!pdfResponse.ok) {
-      throw new Error(`Failed to download PDF: ${pdfResponse.statusText}`);
+    // Step 1: 讀取 PDF（上傳、base64 或下載）
+    logger.info('\n[Step 1] Loading PDF...');
+    const pdfBuffer = await readPdfInput(req);
+    logger.info(`✓ PDF loaded: ${(pdfBuffer.length / 1024).toFixed(2)} KB`);
+    
+    const result = await attachFormSchema(await processLineDetection(pdfBuffer, req.body), req.body.include_schema);
+    sendFormResult(res, result, result.preview ? 'json' : req.body.response_format);
+    
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// 非同步處理：大型 PDF 先排入佇列，之後以 job id 查詢進度與取得結果
+app.post('/jobs', acceptPdfUpload, async (req, res) => {
+  try {
+    const { pipeline = 'text', webhook_url } = req.body;
+    
+    if (!hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64 or a multipart "pdf" file is required'
+      });
+    }
+    
+    if (!['text', 'image'].includes(pipeline)) {
+      return res.status(400).json({ success: false, error: 'pipeline must be "text" or "image"' });
+    }
+    
+    const optionsError = pipeline === 'text' ? validateTextOptions(req.body) : validateImageOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+    
+    if (req.body.preview) {
+      return res.status(400).json({ success: false, error: 'preview is not supported for jobs' });
+    }
+    
+    if (webhook_url !== undefined && !isHttpUrl(webhook_url)) {
+      return res.status(400).json({ success: false, error: 'webhook_url must be an http(s) URL' });
+    }
+    
+    // 先讀取 PDF（上傳的檔案只在這次請求中有效）
+    const pdfBuffer = await readPdfInput(req);
+    const options = { ...req.body, pdf_base64: undefined };
+    
+    const job = submitJob(async (reportProgress) => {
+      const result = pipeline === 'text'
+        ? await processTextCoordinates(pdfBuffer, options, reportProgress)
+        : await processLineDetection(pdfBuffer, options, reportProgress);
+      return attachFormSchema(result, options.include_schema);
+    }, { webhookUrl: webhook_url, baseUrl: `${req.protocol}://${req.get('host')}` });
+    
+    logger.info(`✓ Job ${job.id} queued (${pipeline}, ${(pdfBuffer.length / 1024).toFixed(2)} KB)`);
+    
+    res.status(202).json({
+      success: true,
+      job: summarizeJob(job),
+      status_url: `/jobs/${job.id}`,
+      result_url: `/jobs/${job.id}/result`
+    });
+    
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job "${req.params.id}" not found` });
+  }
+  
+  res.json({ success: true, job: summarizeJob(job) });
+});
+
+// 預設直接回傳 PDF；format 可指定 json 或 multipart（與 response_format 相同）
+app.get('/jobs/:id/result', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job "${req.params.id}" not found` });
+  }
+  
+  if (job.status === 'failed') {
+    return res.status(500).json({ success: false, error: job.error });
+  }
+  
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: `Job is ${job.status}`,
+      job: summarizeJob(job)
+    });
+  }
+  
+  sendFormResult(res, job.result, req.query.format || 'pdf');
+});
+
+// 依用戶端提供（審核後）的欄位清單建立表單，不做偵測；無效的欄位會回報錯誤並略過
+app.post('/process-fields', acceptPdfUpload, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const {
+      fields,
+      format_options,
+      form_mode = 'merge',
+      strict = false,
+      include_schema = false,
+      response_format = 'json'
+    } = req.body;
+    
+    if (!hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64 or a multipart "pdf" file is required'
+      });
+    }
+    
+    if (!Array.isArray(fields) || fields.length === 0) {
+      return res.status(400).json({ success: false, error: 'fields must be a non-empty array' });
+    }
+    
+    if (!FORM_MODES.includes(form_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `form_mode must be one of: ${FORM_MODES.join(', ')}`
+      });
+    }
+    
+    const formatError = validateFormatOptions(format_options);
+    if (formatError) {
+      return res.status(400).json({ success: false, error: formatError });
     }
-    const pdfBuffer = Buffer.from(await pdfResponse.arrayBuffer());
-    logger.info(`✓ PDF downloaded: ${(pdfBuffer.length / 1024).toFixed(2)} KB`);
     
-    // Step 2: 載入 PDF
+    const pdfBuffer = await readPdfInput(req);
     const pdfDoc = await PDFDocument.load(pdfBuffer);
-    const pages = pdfDoc.getPages();
     
-    // Step 3: 解析所有下劃線
-    logger.info('\n[Step 2] Parsing underscores from text...');
-    const fillableAreas = [];
-    let fieldIndex = 1;
-    let totalUnderscores = 0;
+    // 逐一驗證欄位；strict 時只要有錯誤就不建立任何欄位（偵測時沒有建立的欄位直接略過，不算錯誤）
+    const { areas, results, skipped } = validateFields(fields, pdfDoc.getPages().map(getPageGeometry));
+    const invalidCount = fields.length - areas.length - skipped;
     
-    for (const element of extract_elements) {
-      if (!element.Text || !element.Bounds) continue;
-      
-      const text = element.Text;
-      const bounds = element.Bounds; // [x1, y1, x2, y2]
-      const page = element.Page || 0;
-      
-      // 找出所有下劃線段落
-      const underscoreSegments = findAllUnderscores(text);
-      
-      if (underscoreSegments.length === 0) continue;
-      
-      const pdfPage = pages[page];
-      const pageHeight = pdfPage.getHeight();
-      
-      // 計算字符寬度
-      const textWidth = bounds[2] - bounds[0];
-      const textHeight = bounds[3] - bounds[1];
-      const charWidth = textWidth / text.length;
-      
-      logger.info(`\n  Text: "${text.substring(0, 80)}..."`);
-      logger.info(`    Bounds: [${bounds.map(b => b.toFixed(1)).join(', ')}]`);
-      logger.info(`    Char width: ${charWidth.toFixed(2)}`);
-      logger.info(`    Found ${underscoreSegments.length} underscore segment(s):`);
-      
-      for (const segment of underscoreSegments) {
-        const startX = bounds[0] + (segment.startIndex * charWidth);
-        const width = segment.length * charWidth;
-        const y = pageHeight - bounds[3]; // PDF 座標轉換
-        
-        logger.info(`      - "${segment.text}" (${segment.length} chars)`);
-        logger.info(`        Position: chars ${segment.startIndex}-${segment.endIndex}`);
-        logger.info(`        PDF coords: x=${startX.toFixed(1)}, y=${y.toFixed(1)}, width=${width.toFixed(1)}`);
-        
-        const fieldType = guessFieldType(text);
-        
-        fillableAreas.push({
-          id: fieldIndex,
-          field_name: `${fieldType}_${fieldIndex}`,
-          page: page,
-          x: startX,
-          y: y - 2, // 微調，讓欄位稍微往下
-          width: width,
-          height: Math.min(15, textHeight * 0.8), // 高度基於文字高度
-          field_type: fieldType,
-          metadata: {
-            sourceText: text.substring(Math.max(0, segment.startIndex - 20), Math.min(text.length, segment.endIndex + 20)),
-            underscoreLength: segment.length
-          }
-        });
-        
-        fieldIndex++;
-        totalUnderscores++;
-      }
+    logger.info(`✓ Client fields: ${areas.length} valid, ${invalidCount} invalid, ${skipped} not created by detection`);
+    
+    if (areas.length === 0 && invalidCount === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'fields has no created fields (every field was skipped or failed)'
+      });
     }
     
-    logger.info(`\n✓ Total underscore segments found: ${totalUnderscores}`);
-    logger.info(`✓ Total fields to create: ${fillableAreas.length}`);
+    if (areas.length === 0 || (strict && invalidCount > 0)) {
+      return res.status(422).json({
+        success: false,
+        error: `${invalidCount} of ${fields.length} fields are invalid`,
+        validation: results
+      });
+    }
     
-    // Step 4: 創建表單欄位
-    logger.info('\n[Step 3] Creating form fields...');
-    const { pdf_base64, statistics, errors } = await createFormFields(
-      pdfBuffer, 
-      fillableAreas
-    );
+    const { pdf_base64, statistics, errors } = await createFormFields(pdfBuffer, areas, {
+      format: format_options,
+      formMode: form_mode
+    });
     
     const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
     
-    logger.info('\n' + '='.repeat(60));
-    logger.info('Processing Completed');
-    logger.info(`Total time: ${processingTime}s`);
-    logger.info(`Fields created: ${statistics.created_fields}/${totalUnderscores}`);
-    logger.info(`Errors: ${statistics.errors}`);
-    logger.info('='.repeat(60) + '\n');
-    
-    res.json({
+    sendFormResult(res, await attachFormSchema({
       success: true,
-      method: 'text-coordinate',
+      method: 'client-fields',
       pdf_base64: pdf_base64,
       statistics: {
         ...statistics,
-        processing_time_seconds: parseFloat(processingTime),
-        underscore_segments: totalUnderscores
+        invalid_fields: invalidCount,
+        ignored_fields: skipped,
+        processing_time_seconds: parseFloat(processingTime)
       },
-      fields: fillableAreas.map(area => ({
-        id: area.id,
-        name: area.field_name,
-        type: area.field_type,
-        page: area.page,
-        coordinates: {
-          x: area.x.toFixed(2),
-          y: area.y.toFixed(2),
-          width: area.width.toFixed(2)
-        }
-      })),
+      fields: areas.map(summarizeField),
+      validation: results.length > 0 ? results : undefined,
       error_details: errors.length > 0 ? errors : undefined
-    });
+    }, include_schema), response_format);
     
   } catch (error) {
     logger.error('\n[ERROR]', error);
@@ -173,148 +343,1222 @@ app.post('/process-ocr', async (req, res) => {
   }
 });
 
-/**
- * 找出文字中所有的下劃線段落
- */
-function findAllUnderscores(text) {
-  const segments = [];
-  const regex = /_{2,}/g; // 至少 2 個連續下劃線
-  let match;
-  
-  while ((match = regex.exec(text)) !== null) {
-    segments.push({
-      text: match[0],
-      startIndex: match.index,
-      endIndex: match.index + match[0].length - 1,
-      length: match[0].length
+// 保存範本：fields 為 /process-ocr 回應中的 fields，指紋由同時上傳的 PDF 計算
+app.post('/templates', acceptPdfUpload, async (req, res) => {
+  try {
+    const { name, fields } = req.body;
+    
+    const templateError = validateTemplate(name, fields);
+    if (templateError) {
+      return res.status(400).json({ success: false, error: templateError });
+    }
+    
+    if (!hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64 or a multipart "pdf" file is required'
+      });
+    }
+    
+    const pdfBuffer = await readPdfInput(req);
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const fingerprint = computeFingerprint(pdfDoc.getPages(), await loadTextRuns(pdfBuffer));
+    
+    const template = await saveTemplate(name, fingerprint, fields);
+    logger.info(`✓ Template "${name}" saved (${template.fields.length} fields, fingerprint ${fingerprint.id})`);
+    
+    res.status(201).json({
+      success: true,
+      template: {
+        name: template.name,
+        fingerprint: template.fingerprint,
+        field_count: template.fields.length,
+        created_at: template.created_at
+      }
     });
+    
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
-  return segments;
-}
+});
 
-/**
- * 猜測欄位類型
- */
-function guessFieldType(text) {
-  const lower = text.toLowerCase();
-  
-  if (lower.includes('sign') || lower.includes('signature')) {
-    return 'signature';
+app.get('/templates', async (req, res) => {
+  try {
+    res.json({ success: true, templates: await listTemplates() });
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
-  if (lower.includes('$') || lower.includes('amount') || 
-      lower.includes('sum') || lower.includes('price')) {
-    return 'currency';
+});
+
+app.get('/templates/:name', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ success: false, error: `Template "${req.params.name}" not found` });
+    }
+    
+    res.json({ success: true, template: template });
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
-  if (lower.includes('date')) {
-    return 'date';
+});
+
+app.delete('/templates/:name', async (req, res) => {
+  try {
+    if (!await deleteTemplate(req.params.name)) {
+      return res.status(404).json({ success: false, error: `Template "${req.params.name}" not found` });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-  
-  return 'text';
-}
+});
 
-/**
- * 創建表單欄位
- */
-async function createFormFields(pdfBuffer, fillableAreas) {
-  const pdfDoc = await PDFDocument.load(pdfBuffer);
-  const pages = pdfDoc.getPages();
-  const form = pdfDoc.getForm();
+// 將指定範本套用到新的 PDF；指紋不符時需設定 ignore_fingerprint
+app.post('/templates/:name/apply', acceptPdfUpload, async (req, res) => {
+  const startTime = Date.now();
   
-  let successCount = 0;
-  let errorCount = 0;
-  const errors = [];
+  try {
+    const {
+      format_options,
+      form_mode = 'merge',
+      ignore_fingerprint = false,
+      include_schema = false,
+      response_format = 'json'
+    } = req.body;
+    
+    if (!hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64 or a multipart "pdf" file is required'
+      });
+    }
+    
+    if (!FORM_MODES.includes(form_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `form_mode must be one of: ${FORM_MODES.join(', ')}`
+      });
+    }
+    
+    const formatError = validateFormatOptions(format_options);
+    if (formatError) {
+      return res.status(400).json({ success: false, error: formatError });
+    }
+    
+    const template = await getTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ success: false, error: `Template "${req.params.name}" not found` });
+    }
+    
+    const pdfBuffer = await readPdfInput(req);
+    
+    if (!ignore_fingerprint) {
+      const mismatch = await checkTemplateFingerprint(pdfBuffer, template);
+      if (mismatch) {
+        return res.status(409).json(mismatch);
+      }
+    }
+    
+    const result = await applyTemplate(pdfBuffer, template, {
+      format: format_options,
+      formMode: form_mode
+    });
+    
+    sendFormResult(res, await attachFormSchema({
+      ...result,
+      statistics: {
+        ...result.statistics,
+        processing_time_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+      }
+    }, include_schema), response_format);
+    
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// 填寫表單：來源可以是 PDF、已完成工作的結果（job_id），或先將範本套用到 PDF（template）
+app.post('/fill', acceptPdfUpload, async (req, res) => {
+  const startTime = Date.now();
   
-  for (const area of fillableAreas) {
-    try {
-      const page = pages[area.page];
-      if (!page) {
-        throw new Error(`Page ${area.page} not found`);
+  try {
+    const {
+      values,
+      flatten = false,
+      job_id,
+      template: templateName,
+      format_options,
+      ignore_fingerprint = false,
+      response_format = 'json'
+    } = req.body;
+    
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return res.status(400).json({ success: false, error: 'values must be an object of { fieldName: value }' });
+    }
+    
+    if (job_id !== undefined && templateName !== undefined) {
+      return res.status(400).json({ success: false, error: 'job_id and template cannot be used together' });
+    }
+    
+    const formatError = validateFormatOptions(format_options);
+    if (formatError) {
+      return res.status(400).json({ success: false, error: formatError });
+    }
+    
+    if (job_id === undefined && !hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64, a multipart "pdf" file or job_id is required'
+      });
+    }
+    
+    let pdfBuffer;
+    let source = 'pdf';
+    
+    if (job_id !== undefined) {
+      const job = getJob(job_id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: `Job "${job_id}" not found` });
       }
       
-      const pageHeight = page.getHeight();
-      const pageWidth = page.getWidth();
-      
-      // 確保座標在範圍內
-      const safeX = Math.max(0, Math.min(area.x, pageWidth - 10));
-      const safeY = Math.max(0, Math.min(area.y, pageHeight - 5));
-      const safeWidth = Math.max(10, Math.min(area.width, pageWidth - safeX));
-      const safeHeight = Math.max(5, Math.min(area.height, pageHeight - safeY));
-      
-      // 創建文字欄位
-      const textField = form.createTextField(area.field_name);
-      textField.setText('');
-      
-      // 根據類型設置顏色
-      let borderColor, backgroundColor;
-      
-      if (area.field_type === 'signature') {
-        borderColor = rgb(0, 0, 1);
-        backgroundColor = rgb(0.9, 0.9, 1);
-      } else if (area.field_type === 'currency') {
-        borderColor = rgb(0, 0.6, 0);
-        backgroundColor = rgb(0.9, 1, 0.9);
-      } else if (area.field_type === 'date') {
-        borderColor = rgb(0.8, 0.4, 0);
-        backgroundColor = rgb(1, 0.95, 0.9);
-      } else {
-        borderColor = rgb(0.7, 0.7, 0.7);
-        backgroundColor = rgb(1, 1, 1);
+      if (job.status !== 'completed') {
+        return res.status(409).json({ success: false, error: `Job is ${job.status}`, job: summarizeJob(job) });
       }
       
-      textField.addToPage(page, {
-        x: safeX,
-        y: safeY,
-        width: safeWidth,
-        height: safeHeight,
-        borderWidth: 1,
-        borderColor: borderColor,
-        backgroundColor: backgroundColor,
-      });
-      
-      successCount++;
+      pdfBuffer = Buffer.from(job.result.pdf_base64, 'base64');
+      source = 'job';
+    } else {
+      pdfBuffer = await readPdfInput(req);
       
-      if (successCount % 10 === 0) {
-        console.log(`  Created ${successCount}/${fillableAreas.length} fields`);
+      if (templateName !== undefined) {
+        const template = await getTemplate(String(templateName));
+        if (!template) {
+          return res.status(404).json({ success: false, error: `Template "${templateName}" not found` });
+        }
+        
+        if (!ignore_fingerprint) {
+          const mismatch = await checkTemplateFingerprint(pdfBuffer, template);
+          if (mismatch) {
+            return res.status(409).json(mismatch);
+          }
+        }
+        
+        const applied = await applyTemplate(pdfBuffer, template, { format: format_options });
+        pdfBuffer = Buffer.from(applied.pdf_base64, 'base64');
+        source = 'template';
       }
-      
-    } catch (error) {
-      errorCount++;
-      errors.push(`${area.field_name}: ${error.message}`);
-      console.error(`  ✗ ${area.field_name}: ${error.message}`);
     }
+    
+    logger.info(`\n[Fill] Filling ${Object.keys(values).length} field(s) from ${source}...`);
+    const { pdf_base64, statistics, fields, errors } = await fillForm(pdfBuffer, values, {
+      flatten: Boolean(flatten)
+    });
+    
+    logger.info(`✓ Filled ${statistics.filled_fields}/${statistics.requested_fields} field(s)` +
+      (statistics.flattened ? ' and flattened the form' : ''));
+    
+    sendFormResult(res, {
+      success: true,
+      method: 'fill',
+      source: source,
+      job_id: job_id,
+      template: templateName,
+      pdf_base64: pdf_base64,
+      statistics: {
+        ...statistics,
+        processing_time_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+      },
+      fields: fields,
+      error_details: errors.length > 0 ? errors : undefined
+    }, response_format);
+    
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
   }
+});
+
+// 從已可填寫的 PDF 產生 JSON Schema 與欄位清單（與 include_schema 的結果相同），供前端產生網頁表單
+app.post('/schema', acceptPdfUpload, async (req, res) => {
+  const startTime = Date.now();
   
-  console.log(`\n✓ Completed: ${successCount} created, ${errorCount} errors`);
-  
-  const pdfBytes = await pdfDoc.save({
-    useObjectStreams: false,
-    addDefaultPage: false
-  });
-  
-  const base64Pdf = Buffer.from(pdfBytes).toString('base64');
-  
-  const fieldStats = {
-    text: fillableAreas.filter(f => f.field_type === 'text').length,
-    signature: fillableAreas.filter(f => f.field_type === 'signature').length,
-    currency: fillableAreas.filter(f => f.field_type === 'currency').length,
-    date: fillableAreas.filter(f => f.field_type === 'date').length
+  try {
+    if (!hasPdfInput(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'pdf_url, pdf_base64 or a multipart "pdf" file is required'
+      });
+    }
+    
+    const pdfBuffer = await readPdfInput(req);
+    const { schema, manifest } = await buildFormSchema(pdfBuffer);
+    
+    logger.info(`✓ Schema: ${Object.keys(schema.properties).length} data field(s), ${manifest.length} field(s) in total`);
+    
+    res.json({
+      success: true,
+      statistics: {
+        field_count: manifest.length,
+        data_field_count: Object.keys(schema.properties).length,
+        required_field_count: schema.required.length,
+        processing_time_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+      },
+      schema: schema,
+      manifest: manifest
+    });
+    
+  } catch (error) {
+    logger.error('\n[ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * 驗證 /process-ocr 的參數
+ * @returns {string|null} 錯誤訊息，沒有錯誤時為 null
+ */
+function validateTextOptions(options) {
+  const {
+    extract_elements,
+    bounds_format,
+    mode = 'text',
+    form_mode = 'merge',
+    preview = false,
+    classifier_rules = []
+  } = options;
+  
+  const rulesError = validateRules(classifier_rules);
+  if (rulesError) return rulesError;
+  
+  const formatError = validateFormatOptions(options.format_options);
+  if (formatError) return formatError;
+  
+  const boundsError = validateBoundsFormat(bounds_format);
+  if (boundsError) return boundsError;
+  
+  const confidenceError = validateMinConfidence(options.min_confidence);
+  if (confidenceError) return confidenceError;
+  
+  if (!FORM_MODES.includes(form_mode)) {
+    return `form_mode must be one of: ${FORM_MODES.join(', ')}`;
+  }
+  
+  if (preview && preview !== true && !PREVIEW_FORMATS.includes(preview)) {
+    return `preview must be true or one of: ${PREVIEW_FORMATS.join(', ')}`;
+  }
+  
+  if (preview && options.include_schema) {
+    return 'include_schema cannot be used with preview (no form is created)';
+  }
+  
+  if (!['text', 'hybrid'].includes(mode)) {
+    return 'mode must be "text" or "hybrid"';
+  }
+  
+  if (extract_elements !== undefined && !Array.isArray(extract_elements)) {
+    return 'extract_elements must be an array';
+  }
+  
+  return null;
+}
+
+/**
+ * 驗證 /process-image 的參數
+ * @returns {string|null} 錯誤訊息，沒有錯誤時為 null
+ */
+function validateImageOptions(options) {
+  const { form_mode = 'merge', preview = false, pages } = options;
+  
+  if (!FORM_MODES.includes(form_mode)) {
+    return `form_mode must be one of: ${FORM_MODES.join(', ')}`;
+  }
+  
+  if (preview && preview !== true && !PREVIEW_FORMATS.includes(preview)) {
+    return `preview must be true or one of: ${PREVIEW_FORMATS.join(', ')}`;
+  }
+  
+  if (preview && options.include_schema) {
+    return 'include_schema cannot be used with preview (no form is created)';
+  }
+  
+  const confidenceError = validateMinConfidence(options.min_confidence);
+  if (confidenceError) return confidenceError;
+  
+  // 只檢查格式（頁數為 0 時不會展開範圍）
+  if (pages !== undefined) {
+    try {
+      parsePageRanges(pages, 0);
+    } catch (error) {
+      return `pages: ${error.message}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 文字座標法：從文字層找出下劃線與核取方塊（hybrid 時再合併渲染後的橫線）並建立表單
+ * @param {Buffer} pdfBuffer - 原始 PDF
+ * @param {Object} options - /process-ocr 的參數（需先經過 validateTextOptions）
+ * @param {Function} onProgress - 進度回呼 ({ stage, page, page_count })
+ * @returns {Promise<Object>} 回應內容（preview 時沒有 pdf_base64）
+ */
+async function processTextCoordinates(pdfBuffer, options, onProgress = () => {}) {
+  const startTime = Date.now();
+  const {
+    extract_elements,
+    bounds_format = 'default',
+    mode = 'text',
+    dpi,
+    iou_threshold,
+    use_font_metrics = true,
+    format_options,
+    form_mode = 'merge',
+    preview = false,
+    preview_dpi,
+    use_templates = true,
+    classifier_rules = [],
+    replace_default_rules = false,
+    min_confidence = 0
+  } = options;
+  
+  // Step 2: 載入 PDF
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const pages = pdfDoc.getPages();
+  
+  // 偵測與回應的座標都以旋轉、裁切後看到的頁面為準
+  const geometries = pages.map(getPageGeometry);
+  
+  // 讀取文字層：嵌入字型的實際字寬（失敗時退回平均字寬估算），以及比對範本的指紋
+  // （指紋需要文字，即使 use_font_metrics 為 false 也要讀取，否則範本永遠不會套用）
+  const matchTemplates = use_templates && !preview;
+  let textRuns = [];
+  if (use_font_metrics || !extract_elements || matchTemplates) {
+    try {
+      textRuns = await loadTextRuns(pdfBuffer, {
+        onPage: (page, pageCount) => onProgress({ stage: 'extracting_text', page, page_count: pageCount })
+      });
+    } catch (error) {
+      if (!extract_elements) {
+        throw new Error(`Text extraction failed: ${error.message}`);
+      }
+      logger.warn(`Font metrics unavailable, using uniform estimate: ${error.message}`);
+    }
+  }
+  
+  // 已保存的範本：指紋相符時直接套用，略過偵測（需要文字層，findTemplateByFingerprint 不比對沒有文字的指紋）
+  if (matchTemplates) {
+    const fingerprint = computeFingerprint(pages, textRuns);
+    const template = await findTemplateByFingerprint(fingerprint);
+    
+    if (template) {
+      logger.info(`✓ Fingerprint matches template "${template.name}", skipping detection`);
+      onProgress({ stage: 'creating_fields' });
+      const result = await applyTemplate(pdfBuffer, template, {
+        format: format_options,
+        formMode: form_mode
+      });
+      
+      return {
+        ...result,
+        statistics: {
+          ...result.statistics,
+          processing_time_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+        }
+      };
+    }
+  }
+  
+  // 未提供 extract_elements 時，自行從 PDF 文字層擷取；用戶端提供的 Bounds 依 bounds_format 轉換為同一種座標
+  let elements;
+  let skippedElements;
+  if (extract_elements) {
+    ({ elements, skipped: skippedElements } = normalizeElements(extract_elements, bounds_format, geometries));
+    
+    if (skippedElements > 0) {
+      logger.warn(`Skipped ${skippedElements} element(s) with unreadable Bounds or unknown Page`);
+    }
+  } else {
+    elements = buildExtractElements(textRuns, geometries);
+    logger.info(`✓ Extracted ${elements.length} text line(s) from PDF`);
+  }
+  const textSource = extract_elements ? 'client' : 'pdfjs';
+  
+  // Step 3: 解析所有下劃線
+  logger.info('\n[Step 2] Parsing underscores from text...');
+  const underscoreAreas = detectUnderscoreAreas(elements, geometries, use_font_metrics ? textRuns : []);
+  const totalUnderscores = underscoreAreas.length;
+  
+  logger.info(`\n✓ Total underscore segments found: ${totalUnderscores}`);
+  
+  // 核取方塊符號（☐、□、[ ]），互斥選項合併為單選群組
+  const checkboxAreas = detectCheckboxAreas(elements, geometries);
+  const textAreas = renumberAreas([...underscoreAreas, ...checkboxAreas]);
+  
+  logger.info(`✓ Total checkbox glyphs found: ${checkboxAreas.length}`);
+  
+  let fillableAreas = textAreas;
+  let detectedLines;
+  let mergedDuplicates;
+  
+  // Hybrid：同時渲染頁面檢測橫線，並與下劃線結果合併
+  if (mode === 'hybrid') {
+    logger.info('\n[Step 2b] Detecting rendered lines (hybrid mode)...');
+    const lineAreas = await detectLineAreas(pdfBuffer, { dpi, onProgress });
+    detectedLines = lineAreas.length;
+    
+    fillableAreas = mergeDetectedAreas(textAreas, lineAreas, iou_threshold);
+    mergedDuplicates = textAreas.length + lineAreas.length - fillableAreas.length;
+    
+    logger.info(`✓ Lines found: ${detectedLines}, duplicates merged: ${mergedDuplicates}`);
+  }
+  
+  // 垂直堆疊的空白合併為多行欄位（需在解析最近標籤之前）
+  const stackedCount = fillableAreas.length;
+  fillableAreas = renumberAreas(mergeStackedAreas(fillableAreas, { elements, geometries }));
+  
+  if (fillableAreas.length < stackedCount) {
+    logger.info(`✓ Merged stacked blanks into multiline fields: ${stackedCount} → ${fillableAreas.length}`);
+  }
+  
+  // 找出每個空白最接近的標籤，依標籤分類後再命名（找不到標籤時為 type_id）
+  resolveLabels(fillableAreas, elements, geometries);
+  classifyAreas(fillableAreas, buildRules(classifier_rules, replace_default_rules));
+  assignFieldNames(fillableAreas, elements, geometries);
+  
+  // 信心分數低於 min_confidence 的候選只回報、不建立
+  scoreAreas(fillableAreas, geometries, { hasText: elements.length > 0 });
+  const { accepted, rejected } = filterByConfidence(fillableAreas, min_confidence);
+  
+  if (rejected.length > 0) {
+    logger.info(`✓ Skipped ${rejected.length} candidate(s) below min_confidence ${min_confidence}`);
+  }
+  
+  // 簽名欄位與同一行後方的日期欄位配對
+  const signaturePairs = pairSignatureDates(accepted);
+  
+  logger.info(`✓ Total fields to create: ${accepted.length}`);
+  
+  const detectionStatistics = {
+    underscore_segments: totalUnderscores,
+    text_source: textSource,
+    skipped_elements: skippedElements || undefined,
+    detected_lines: detectedLines,
+    merged_duplicates: mergedDuplicates,
+    low_confidence_fields: rejected.length
   };
   
+  // 預覽模式：只回傳標註後的頁面圖片，不建立表單欄位
+  if (preview) {
+    logger.info('\n[Step 3] Rendering preview images...');
+    return {
+      success: true,
+      method: mode === 'hybrid' ? 'hybrid' : 'text-coordinate',
+      preview: true,
+      statistics: {
+        detected_areas: fillableAreas.length,
+        processing_time_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2)),
+        ...detectionStatistics
+      },
+      fields: fillableAreas.map(summarizeField),
+      signature_pairs: signaturePairs.length > 0 ? signaturePairs : undefined,
+      ...await buildPreviewImages(pdfBuffer, accepted, preview, preview_dpi)
+    };
+  }
+  
+  // Step 4: 創建表單欄位
+  logger.info('\n[Step 3] Creating form fields...');
+  onProgress({ stage: 'creating_fields' });
+  const { pdf_base64, statistics, errors } = await createFormFields(
+    pdfBuffer, 
+    accepted,
+    { format: format_options, formMode: form_mode }
+  );
+  
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  logProcessingCompleted(processingTime, statistics, accepted.length);
+  
   return {
-    pdf_base64: base64Pdf,
+    success: true,
+    method: mode === 'hybrid' ? 'hybrid' : 'text-coordinate',
+    pdf_base64: pdf_base64,
     statistics: {
+      ...statistics,
       detected_areas: fillableAreas.length,
-      created_fields: successCount,
-      errors: errorCount,
-      ...fieldStats
+      processing_time_seconds: parseFloat(processingTime),
+      ...detectionStatistics
     },
-    errors: errors
+    fields: fillableAreas.map(summarizeField),
+    signature_pairs: signaturePairs.length > 0 ? signaturePairs : undefined,
+    error_details: errors.length > 0 ? errors : undefined
   };
 }
 
+/**
+ * 影像法：渲染頁面檢測橫線與方框並建立表單
+ * @param {Buffer} pdfBuffer - 原始 PDF
+ * @param {Object} options - /process-image 的參數（需先經過 validateImageOptions）
+ * @param {Function} onProgress - 進度回呼 ({ stage, page, page_count })
+ * @returns {Promise<Object>} 回應內容（preview 時沒有 pdf_base64）
+ */
+async function processLineDetection(pdfBuffer, options, onProgress = () => {}) {
+  const startTime = Date.now();
+  const {
+    dpi,
+    pages,
+    form_mode = 'merge',
+    preview = false,
+    preview_dpi,
+    min_confidence = 0,
+    merge_stacked = false
+  } = options;
+  
+  // Step 2: 逐頁渲染並檢測橫線與方框（pages 可只處理部分頁面）
+  logger.info('\n[Step 2] Rendering pages and detecting lines and boxes...');
+  const lineAreas = await detectLineAreas(pdfBuffer, { dpi, pages, onProgress });
+  
+  // 沒有文字層時無法分辨段落與各自有標籤的橫線（等距、等長的一欄橫線很常見），只在用戶端要求時合併
+  const fillableAreas = renumberAreas(merge_stacked ? mergeStackedAreas(lineAreas) : lineAreas);
+  
+  logger.info(`\n✓ Total lines and boxes found: ${fillableAreas.length}`);
+  
+  // 沒有文字層，信心分數只看線條本身；低於 min_confidence 的候選只回報、不建立
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  scoreAreas(fillableAreas, pdfDoc.getPages().map(getPageGeometry), { hasText: false });
+  const { accepted, rejected } = filterByConfidence(fillableAreas, min_confidence);
+  
+  if (rejected.length > 0) {
+    logger.info(`✓ Skipped ${rejected.length} candidate(s) below min_confidence ${min_confidence}`);
+  }
+  
+  const detectionStatistics = {
+    detected_lines: fillableAreas.filter(area => area.metadata.detector === 'line').length,
+    detected_boxes: fillableAreas.filter(area => area.metadata.detector === 'box').length,
+    low_confidence_fields: rejected.length
+  };
+  
+  // 預覽模式：只回傳標註後的頁面圖片，不建立表單欄位
+  if (preview) {
+    logger.info('\n[Step 3] Rendering preview images...');
+    return {
+      success: true,
+      method: 'line-detection',
+      preview: true,
+      statistics: {
+        detected_areas: fillableAreas.length,
+        processing_time_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2)),
+        ...detectionStatistics
+      },
+      fields: fillableAreas.map(summarizeField),
+      ...await buildPreviewImages(pdfBuffer, accepted, preview, preview_dpi)
+    };
+  }
+  
+  // Step 3: 創建表單欄位
+  logger.info('\n[Step 3] Creating form fields...');
+  onProgress({ stage: 'creating_fields' });
+  const { pdf_base64, statistics, errors } = await createFormFields(
+    pdfBuffer,
+    accepted,
+    { formMode: form_mode }
+  );
+  
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  logProcessingCompleted(processingTime, statistics, accepted.length);
+  
+  return {
+    success: true,
+    method: 'line-detection',
+    pdf_base64: pdf_base64,
+    statistics: {
+      ...statistics,
+      detected_areas: fillableAreas.length,
+      processing_time_seconds: parseFloat(processingTime),
+      ...detectionStatistics
+    },
+    fields: fillableAreas.map(summarizeField),
+    error_details: errors.length > 0 ? errors : undefined
+  };
+}
+
+function logProcessingCompleted(processingTime, statistics, areaCount) {
+  logger.info('\n' + '='.repeat(60));
+  logger.info('Processing Completed');
+  logger.info(`Total time: ${processingTime}s`);
+  logger.info(`Fields created: ${statistics.created_fields}/${areaCount}`);
+  logger.info(`Errors: ${statistics.errors}`);
+  logger.info('='.repeat(60) + '\n');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 從 extract_elements 的文字中解析下劃線，計算對應的 PDF 座標區域；
+ * 有 textRuns（loadTextRuns 結果）時以實際字寬定位，否則以平均字寬估算
+ */
+function detectUnderscoreAreas(extractElements, geometries, textRuns = []) {
+  const fillableAreas = [];
+  let fieldIndex = 1;
+  
+  for (const element of extractElements) {
+    if (!element.Text || !element.Bounds) continue;
+    
+    const text = element.Text;
+    const bounds = element.Bounds; // [x1, y1, x2, y2]
+    const page = element.Page || 0;
+    
+    // 找出所有下劃線段落
+    const underscoreSegments = findAllUnderscores(text);
+    
+    if (underscoreSegments.length === 0) continue;
+    
+    const pageHeight = geometries[page].height;
+    
+    // 計算字符寬度（中日韓全形字約為半形的兩倍寬）
+    const textWidth = bounds[2] - bounds[0];
+    const textHeight = bounds[3] - bounds[1];
+    const charOffsets = estimateCharOffsets(text, textWidth);
+    const charWidth = textWidth / text.length;
+    
+    // 以字型字寬量測同一範圍內的下劃線；數量不一致時無法對應，改用估算
+    const measured = measureSegments(
+      textRuns[page] || [],
+      { x: bounds[0], y: pageHeight - bounds[3], width: textWidth, height: textHeight },
+      findAllUnderscores
+    );
+    const useMetrics = measured.length === underscoreSegments.length;
+    
+    logger.info(`\n  Text: "${text.substring(0, 80)}..."`);
+    logger.info(`    Bounds: [${bounds.map(b => b.toFixed(1)).join(', ')}]`);
+    logger.info(useMetrics ? '    Positioning: font metrics' : `    Char width: ${charWidth.toFixed(2)}`);
+    logger.info(`    Found ${underscoreSegments.length} underscore segment(s):`);
+    
+    underscoreSegments.forEach((segment, segmentIndex) => {
+      const previous = underscoreSegments[segmentIndex - 1];
+      const startX = useMetrics
+        ? measured[segmentIndex].startX
+        : bounds[0] + charOffsets[segment.startIndex];
+      const width = useMetrics
+        ? measured[segmentIndex].endX - measured[segmentIndex].startX
+        : charOffsets[segment.endIndex + 1] - charOffsets[segment.startIndex];
+      const y = pageHeight - bounds[3]; // PDF 座標轉換
+      
+      logger.info(`      - "${segment.text}" (${segment.length} chars)`);
+      logger.info(`        Position: chars ${segment.startIndex}-${segment.endIndex}`);
+      logger.info(`        PDF coords: x=${startX.toFixed(1)}, y=${y.toFixed(1)}, width=${width.toFixed(1)}`);
+      
+      // 同一行有多個空白時以各自的標籤判斷類型，例如 "Signature ____ Date ____"
+      const label = extractInlineLabel(text, segment.startIndex, previous ? previous.endIndex : -1);
+      const fieldType = classifyField(label, text);
+      
+      fillableAreas.push({
+        id: fieldIndex,
+        field_name: `${fieldType}_${fieldIndex}`,
+        page: page,
+        x: startX,
+        y: y - 2, // 微調，讓欄位稍微往下
+        width: width,
+        height: Math.min(15, textHeight * 0.8), // 高度基於文字高度
+        field_type: fieldType,
+        metadata: {
+          sourceText: text.substring(Math.max(0, segment.startIndex - 20), Math.min(text.length, segment.endIndex + 20)),
+          label: label,
+          detector: 'underscore',
+          positioning: useMetrics ? 'font-metrics' : 'uniform',
+          underscoreLength: segment.length,
+          inWord: WORD_CHAR_REGEX.test(text[segment.startIndex - 1] || '') &&
+                  WORD_CHAR_REGEX.test(text[segment.endIndex + 1] || '')
+        }
+      });
+      
+      fieldIndex++;
+    });
+  }
+  
+  return fillableAreas;
+}
+
+/**
+ * 從 extract_elements 的文字中找出核取方塊符號，計算對應的 PDF 座標區域
+ */
+function detectCheckboxAreas(extractElements, geometries) {
+  const checkboxAreas = [];
+  
+  extractElements.forEach((element, elementIndex) => {
+    if (!element.Text || !element.Bounds) return;
+    
+    const text = element.Text;
+    const bounds = element.Bounds; // [x1, y1, x2, y2]
+    const page = element.Page || 0;
+    
+    const checkboxSegments = findAllCheckboxes(text);
+    
+    if (checkboxSegments.length === 0) return;
+    
+    const pageHeight = geometries[page].height;
+    const textHeight = bounds[3] - bounds[1];
+    const charOffsets = estimateCharOffsets(text, bounds[2] - bounds[0]);
+    const size = Math.max(8, Math.min(12, textHeight * 0.8));
+    
+    // 第一個符號前的文字作為整組選項的標籤，例如 "Smoker? ☐ Yes ☐ No"
+    const groupLabel = extractInlineLabel(text, checkboxSegments[0].startIndex);
+    
+    const lineAreas = checkboxSegments.map(segment => ({
+      page: page,
+      x: bounds[0] + charOffsets[segment.startIndex],
+      y: pageHeight - bounds[3] + (textHeight - size) / 2, // 與文字垂直置中
+      width: size,
+      height: size,
+      field_type: 'checkbox',
+      metadata: {
+        sourceText: text,
+        detector: 'glyph',
+        label: [groupLabel, segment.label].filter(Boolean).join(' ') || null,
+        option: segment.label
+      }
+    }));
+    
+    // 同一行的互斥選項（Yes/No、Male/Female）合併為單選群組
+    if (isMutuallyExclusive(checkboxSegments.map(segment => segment.label))) {
+      for (const area of lineAreas) {
+        area.field_type = 'radio';
+        area.metadata.group = `${page}-${elementIndex}`;
+        area.metadata.label = groupLabel;
+      }
+    }
+    
+    checkboxAreas.push(...lineAreas);
+  });
+  
+  return checkboxAreas;
+}
+
+/**
+ * 合併文字與橫線檢測結果：同一條空白視為同一欄位，保留文字的類型資訊
+ * 兩者高度的算法不同（文字約 0.8 倍字高、橫線固定 15pt），因此不比較面積的 IoU，
+ * 而是水平範圍的 IoU 超過門檻，且橫線上緣落在文字範圍內或稍低於文字範圍
+ */
+function mergeDetectedAreas(textAreas, lineAreas, iouThreshold = 0.3) {
+  const merged = textAreas.map(area => ({ ...area, metadata: { ...area.metadata } }));
+  
+  for (const lineArea of lineAreas) {
+    const duplicate = merged.find(area =>
+      area.page === lineArea.page &&
+      isSameBlank(area, lineArea, iouThreshold)
+    );
+    
+    if (duplicate) {
+      duplicate.metadata.detector = `${duplicate.metadata.detector}+${lineArea.metadata.detector}`;
+      continue;
+    }
+    
+    merged.push({ ...lineArea, metadata: { ...lineArea.metadata } });
+  }
+  
+  // 重新編號，避免兩種檢測結果的 id 重複
+  return renumberAreas(merged);
+}
+
+/**
+ * 判斷文字檢測與橫線檢測的結果是否為同一條空白
+ * 橫線欄位的底部是線條上緣；下劃線字形位於基線下方，可能略低於文字範圍（最多半個文字範圍高）
+ */
+function isSameBlank(textArea, lineArea, iouThreshold) {
+  const overlapX = Math.min(textArea.x + textArea.width, lineArea.x + lineArea.width) - Math.max(textArea.x, lineArea.x);
+  const unionX = Math.max(textArea.x + textArea.width, lineArea.x + lineArea.width) - Math.min(textArea.x, lineArea.x);
+  
+  if (overlapX <= 0 || overlapX / unionX < iouThreshold) {
+    return false;
+  }
+  
+  const lineTop = lineArea.y;
+  return lineTop >= textArea.y - textArea.height / 2 && lineTop <= textArea.y + textArea.height;
+}
+
+/**
+ * 將簽名欄位與同一行右側最近的日期欄位配對，方便用戶端自動填入簽署日期
+ * @returns {Array} [{ signature, date }] 欄位名稱配對
+ */
+function pairSignatureDates(fillableAreas) {
+  const pairs = [];
+  const pairedDates = new Set();
+  
+  for (const signature of fillableAreas) {
+    if (signature.field_type !== 'signature') continue;
+    
+    const signatureCenterY = signature.y + signature.height / 2;
+    let closest = null;
+    
+    for (const date of fillableAreas) {
+      if (date.field_type !== 'date' || date.page !== signature.page || pairedDates.has(date)) continue;
+      
+      const sameLine = Math.abs(date.y + date.height / 2 - signatureCenterY) <= Math.max(signature.height, date.height) / 2;
+      const follows = date.x >= signature.x + signature.width - 1;
+      
+      if (sameLine && follows && (!closest || date.x < closest.x)) {
+        closest = date;
+      }
+    }
+    
+    if (closest) {
+      pairedDates.add(closest);
+      signature.metadata.pairedWith = closest.field_name;
+      closest.metadata.pairedWith = signature.field_name;
+      pairs.push({ signature: signature.field_name, date: closest.field_name });
+    }
+  }
+  
+  return pairs;
+}
+
+/**
+ * 回應中每個欄位的摘要
+ */
+function summarizeField(area) {
+  return {
+    id: area.id,
+    name: area.field_name,
+    type: area.field_type,
+    page: area.page,
+    label: area.metadata.label || null,
+    detector: area.metadata.detector,
+    option: area.metadata.option,
+    paired_with: area.metadata.pairedWith,
+    multiline: Boolean(area.metadata.multiline),
+    required: Boolean(area.metadata.required),
+    outcome: area.metadata.outcome,
+    confidence: area.metadata.confidence,
+    confidence_factors: area.metadata.confidenceFactors,
+    coordinates: {
+      x: area.x.toFixed(2),
+      y: area.y.toFixed(2),
+      width: area.width.toFixed(2),
+      height: area.height.toFixed(2)
+    }
+  };
+}
+
+/**
+ * 以範本的欄位直接建立表單（不做任何偵測）
+ * @param {Buffer} pdfBuffer - 原始 PDF
+ * @param {Object} template - templateStore 的範本
+ * @param {Object} options - createFormFields 的選項
+ * @returns {Promise<Object>} 與 /process-ocr 相同格式的結果
+ */
+async function applyTemplate(pdfBuffer, template, options = {}) {
+  const fillableAreas = templateToAreas(template);
+  
+  logger.info(`\n[Template] Applying "${template.name}" (${fillableAreas.length} fields)...`);
+  const { pdf_base64, statistics, errors } = await createFormFields(pdfBuffer, fillableAreas, options);
+  
+  return {
+    success: true,
+    method: 'template',
+    template: template.name,
+    pdf_base64: pdf_base64,
+    statistics: statistics,
+    fields: fillableAreas.map(summarizeField),
+    error_details: errors.length > 0 ? errors : undefined
+  };
+}
+
+/**
+ * include_schema 為 true 時，從產生的 PDF 讀取 JSON Schema 與欄位清單加入結果（與 /schema 相同）
+ */
+async function attachFormSchema(result, includeSchema) {
+  if (!includeSchema || !result.pdf_base64) return result;
+  
+  const { schema, manifest } = await buildFormSchema(Buffer.from(result.pdf_base64, 'base64'), {
+    fields: result.fields
+  });
+  
+  return { ...result, schema, manifest };
+}
+
+/**
+ * 比對 PDF 與範本的指紋
+ * @returns {Promise<Object|null>} 不符時為 409 的回應內容，相符時為 null
+ */
+async function checkTemplateFingerprint(pdfBuffer, template) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const fingerprint = computeFingerprint(pdfDoc.getPages(), await loadTextRuns(pdfBuffer));
+  
+  if (fingerprint.id === template.fingerprint.id) return null;
+  
+  return {
+    success: false,
+    error: 'PDF fingerprint does not match the template (set ignore_fingerprint to apply anyway)',
+    fingerprint: fingerprint,
+    template_fingerprint: template.fingerprint
+  };
+}
+
+/**
+ * 產生預覽圖片：preview 為 true 或 'pages' 時每頁一張，'contact_sheet' 時合併為一張
+ * @returns {Promise<Object>} { images: [...] } 或 { contact_sheet: {...} }，圖片為 base64 PNG
+ */
+async function buildPreviewImages(pdfBuffer, fillableAreas, preview, dpi) {
+  const previews = await renderPreview(pdfBuffer, fillableAreas, { dpi });
+  
+  if (preview === 'contact_sheet') {
+    const { buffer, ...sheet } = await buildContactSheet(previews);
+    return { contact_sheet: { ...sheet, png_base64: buffer.toString('base64') } };
+  }
+  
+  return {
+    images: previews.map(({ buffer, ...image }) => ({
+      ...image,
+      png_base64: buffer.toString('base64')
+    }))
+  };
+}
+
+/**
+ * 依序重新編號並產生欄位名稱；同一單選群組的選項共用名稱
+ */
+function renumberAreas(areas) {
+  const groupNames = new Map();
+  
+  areas.forEach((area, index) => {
+    area.id = index + 1;
+    
+    if (area.metadata.group) {
+      if (!groupNames.has(area.metadata.group)) {
+        groupNames.set(area.metadata.group, `${area.field_type}_${area.id}`);
+      }
+      area.field_name = groupNames.get(area.metadata.group);
+    } else {
+      area.field_name = `${area.field_type}_${area.id}`;
+    }
+  });
+  
+  return areas;
+}
+
+/**
+ * 逐頁渲染並在整頁範圍檢測橫線與空白方框，轉換為 PDF 座標的可填寫區域
+ * 每頁以灰階 raw 像素渲染，檢測完即釋放，記憶體用量不隨頁數增加
+ * options: { dpi, pages（頁碼範圍，見 parsePageRanges）, minLength, onProgress({ stage, page, page_count }) }
+ */
+async function detectLineAreas(pdfBuffer, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const pages = pdfDoc.getPages();
+  const renderedPages = renderPages(pdfBuffer, {
+    dpi: options.dpi,
+    pages: options.pages,
+    format: 'raw',
+    grayscale: true,
+    onPage: (page, pageCount) => onProgress({ stage: 'rendering', page, page_count: pageCount })
+  });
+  
+  const fillableAreas = [];
+  let fieldIndex = 1;
+  
+  for await (const image of renderedPages) {
+    const pdfPage = pages[image.page];
+    if (!pdfPage) continue;
+    
+    // 渲染的圖片即為旋轉、裁切後的頁面，對應到顯示座標
+    const { width: pageWidth, height: pageHeight } = getPageGeometry(pdfPage);
+    
+    onProgress({ stage: 'detecting_lines', page: image.page, page_count: pages.length });
+    const fullPage = { x: 0, y: 0, width: image.width, height: image.height };
+    
+    // 方框與表格儲存格（含有內容的儲存格只用來排除其邊線）
+    const cells = await detectBoxesInRegion(
+      image.buffer,
+      image.width,
+      image.height,
+      fullPage,
+      { includeFilled: true, minWidth: 16, minHeight: 16, channels: image.channels }
+    );
+    const boxes = cells.filter(cell => cell.empty);
+    
+    const lines = filterBoxEdges(
+      await detectHorizontalLinesInRegion(
+        image.buffer,
+        image.width,
+        image.height,
+        fullPage,
+        { minLength: options.minLength || 60, channels: image.channels }
+      ),
+      cells
+    );
+    
+    logger.info(`  Page ${image.page}: ${lines.length} line(s), ${boxes.length} empty box(es)`);
+    
+    for (const box of boxes) {
+      const topLeft = pixelToPDFCoordinates(
+        box.x, box.y, image.width, image.height, pageWidth, pageHeight
+      );
+      const bottomRight = pixelToPDFCoordinates(
+        box.x + box.width, box.y + box.height, image.width, image.height, pageWidth, pageHeight
+      );
+      const boxWidth = bottomRight.x - topLeft.x;
+      const boxHeight = topLeft.y - bottomRight.y;
+      
+      // 小的正方形視為核取方塊；其餘太矮的方框放不下文字
+      const fieldType = isCheckboxSize(boxWidth, boxHeight) ? 'checkbox' : 'text';
+      if (fieldType === 'text' && (boxHeight < 8 || boxWidth < 20)) continue;
+      
+      fillableAreas.push({
+        id: fieldIndex,
+        field_name: `${fieldType}_${fieldIndex}`,
+        page: image.page,
+        x: topLeft.x,
+        y: bottomRight.y,
+        width: boxWidth,
+        height: boxHeight, // 使用儲存格的完整高度
+        field_type: fieldType,
+        metadata: {
+          detector: 'box',
+          pixelBox: {
+            x: box.x,
+            y: box.y,
+            width: box.width,
+            height: box.height,
+            row: box.row,
+            column: box.column
+          }
+        }
+      });
+      
+      fieldIndex++;
+    }
+    
+    for (const line of lines) {
+      const start = pixelToPDFCoordinates(
+        line.startX, line.y, image.width, image.height, pageWidth, pageHeight
+      );
+      const end = pixelToPDFCoordinates(
+        line.endX, line.y, image.width, image.height, pageWidth, pageHeight
+      );
+      
+      fillableAreas.push({
+        id: fieldIndex,
+        field_name: `text_${fieldIndex}`,
+        page: image.page,
+        x: start.x,
+        y: start.y, // 欄位底部貼齊線條上緣
+        width: end.x - start.x,
+        height: 15,
+        field_type: 'text',
+        metadata: {
+          detector: 'line',
+          pixelLine: {
+            startX: line.startX,
+            endX: line.endX,
+            y: line.y,
+            thickness: line.thickness
+          },
+          lineThickness: line.thickness * (pageHeight / image.height) // PDF 點
+        }
+      });
+      
+      fieldIndex++;
+    }
+  }
+  
+  return fillableAreas;
+}
+
+/**
+ * 找出文字中所有的下劃線段落
+ */
+function findAllUnderscores(text) {
+  const segments = [];
+  const regex = /[_＿﹍﹎﹏]{2,}/g; // 至少 2 個連續下劃線（含全形 ＿ 與 ﹍ 等）
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    segments.push({
+      text: match[0],
+      startIndex: match.index,
+      endIndex: match.index + match[0].length - 1,
+      length: match[0].length
+    });
+  }
+  
+  return segments;
+}
+
+/**
+ * 找出文字中所有的核取方塊符號（☐、□、[ ]）及其後方的選項文字
+ */
+function findAllCheckboxes(text) {
+  const segments = [];
+  const regex = /[☐□]|\[\s*\]/g;
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    segments.push({
+      text: match[0],
+      startIndex: match.index,
+      endIndex: match.index + match[0].length - 1,
+      length: match[0].length
+    });
+  }
+  
+  // 選項文字 = 符號之後到下一個符號之前
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    const labelEnd = next ? next.startIndex : text.length;
+    segment.label = text
+      .substring(segment.endIndex + 1, labelEnd)
+      .replace(/^[\s:：.,、]+|[\s:：.,、]+$/g, '');
+  });
+  
+  return segments;
+}
+
+/**
+ * 判斷同一行的選項是否互斥（可合併為單選群組）
+ */
+function isMutuallyExclusive(labels) {
+  if (labels.length < 2) return false;
+  
+  const normalized = labels.map(label => label.toLowerCase());
+  if (new Set(normalized).size !== normalized.length) return false;
+  
+  return EXCLUSIVE_OPTION_SETS.some(set =>
+    normalized.every(label => set.includes(label))
+  );
+}
+
+/**
+ * 判斷方框尺寸（PDF 點）是否像核取方塊
+ */
+function isCheckboxSize(width, height) {
+  const ratio = width / height;
+  return width <= 20 && height <= 20 && ratio >= 0.75 && ratio <= 1.33;
+}
+
 app.listen(PORT, () => {
   logger.info(`\n${'='.repeat(60)}`);
   logger.info(`PDF Form Generator - Text Coordinate Method`);
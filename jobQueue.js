@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// 同時處理的工作數（渲染 300 DPI 頁面很耗記憶體，預設一次一個）
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 1);
+
+// 完成的工作保留多久（毫秒）後刪除，避免結果一直佔用記憶體
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// webhook 逾時（毫秒）
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+/**
+ * 將工作排入佇列
+ * @param {Function} task - async (reportProgress) => result，result 為 /process-ocr 格式的回應
+ * @param {Object} options - { webhookUrl, baseUrl }：完成或失敗時 POST 到 webhookUrl，baseUrl 用於產生 result_url
+ * @returns {Object} 工作
+ */
+function submitJob(task, options = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    progress: { stage: 'queued', page: null, page_count: null },
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    result: null,
+    error: null,
+    webhook_url: options.webhookUrl || null,
+    webhook: null,
+    base_url: options.baseUrl || '',
+    task: task
+  };
+  
+  jobs.set(job.id, job);
+  queue.push(job);
+  runNext();
+  
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * 在並行上限內開始下一個工作
+ */
+function runNext() {
+  while (runningCount < JOB_CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    runningCount++;
+    
+    runJob(job).finally(() => {
+      runningCount--;
+      runNext();
+    });
+  }
+}
+
+async function runJob(job) {
+  job.status = 'processing';
+  job.started_at = new Date().toISOString();
+  job.progress = { stage: 'starting', page: null, page_count: null };
+  
+  try {
+    job.result = await job.task((progress) => {
+      job.progress = { page: null, page_count: null, ...progress };
+    });
+    job.status = 'completed';
+    job.progress = { ...job.progress, stage: 'completed' };
+    logger.info(`✓ Job ${job.id} completed`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    logger.error(`✗ Job ${job.id} failed: ${error.message}`);
+  } finally {
+    job.task = null;
+    job.finished_at = new Date().toISOString();
+  }
+  
+  if (job.webhook_url) {
+    await notifyWebhook(job);
+  }
+  
+  // 過期後刪除；unref 讓計時器不阻止程式結束
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * 通知 webhook；失敗只記錄在 job.webhook，不影響工作狀態
+ */
+async function notifyWebhook(job) {
+  try {
+    const response = await fetch(job.webhook_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        job_id: job.id,
+        status: job.status,
+        error: job.error || undefined,
+        statistics: job.result ? job.result.statistics : undefined,
+        result_url: job.status === 'completed' ? `${job.base_url}/jobs/${job.id}/result` : undefined
+      }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    
+    job.webhook = { delivered: response.ok, status_code: response.status };
+  } catch (error) {
+    job.webhook = { delivered: false, error: error.message };
+    logger.warn(`Webhook for job ${job.id} failed: ${error.message}`);
+  }
+}
+
+/**
+ * 工作狀態（不含 PDF 內容）
+ */
+function summarizeJob(job) {
+  const summary = {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    error: job.error || undefined,
+    webhook: job.webhook || undefined
+  };
+  
+  if (job.status === 'queued') {
+    summary.queue_position = queue.indexOf(job) + 1;
+  }
+  
+  if (job.result) {
+    summary.statistics = job.result.statistics;
+    summary.field_count = job.result.fields.length;
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  submitJob,
+  getJob,
+  summarizeJob
+};
\ No newline at end of file
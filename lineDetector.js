@@ -1,12 +1,62 @@
 const sharp = require('sharp');
 
+// 線段中允許的最大空隙（像素），例如虛線或掃描造成的斷點
+const MAX_GAP = 3;
+
+// 同一條線重複檢測時的最大 Y 距離
+const MIN_Y_DISTANCE = 5;
+
+/**
+ * 開啟圖片：有 channels 時 imageBuffer 為未壓縮的像素資料（renderPages 的 raw 輸出），否則為 PNG 等編碼格式
+ */
+function openImage(imageBuffer, width, height, channels) {
+  return channels
+    ? sharp(imageBuffer, { raw: { width, height, channels } })
+    : sharp(imageBuffer);
+}
+
+/**
+ * 讀取區域的灰階像素；區域超出圖片時裁切到圖片範圍內
+ * 整頁的單通道 raw 資料直接使用，不經過 sharp
+ * @returns {Promise<Object|null>} { data, width, height, left, top }，left/top 為裁切後在完整圖片中的位置；區域無效時為 null
+ */
+async function readRegion(imageBuffer, fullImageWidth, fullImageHeight, region, channels) {
+  if (!region || typeof region !== 'object') {
+    console.error('Invalid region parameter:', region);
+    return null;
+  }
+  
+  const left = Math.max(0, Math.floor(region.x));
+  const top = Math.max(0, Math.floor(region.y));
+  const right = Math.min(fullImageWidth, Math.floor(region.x + region.width));
+  const bottom = Math.min(fullImageHeight, Math.floor(region.y + region.height));
+  
+  if (!(right > left && bottom > top)) {
+    return null;
+  }
+  
+  if (channels === 1 && left === 0 && top === 0 && right === fullImageWidth && bottom === fullImageHeight) {
+    return { data: imageBuffer, width: fullImageWidth, height: fullImageHeight, left, top };
+  }
+  
+  const { data, info } = await openImage(imageBuffer, fullImageWidth, fullImageHeight, channels)
+    .extract({ left, top, width: right - left, height: bottom - top })
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  return { data, width: info.width, height: info.height, left, top };
+}
+
 /**
  * 在圖片的特定區域檢測水平線
  * @param {Buffer} imageBuffer - 完整圖片 Buffer
  * @param {number} fullImageWidth - 完整圖片寬度
  * @param {number} fullImageHeight - 完整圖片高度
- * @param {Object} region - 要掃描的區域 {x, y, width, height}
- * @param {Object} options - 檢測選項
+ * @param {Object} region - 要掃描的區域 {x, y, width, height}，超出圖片的部分會被裁掉
+ * @param {Object} options - 檢測選項 { minLength, maxThickness, threshold（低於此灰階值為黑色）, channels（imageBuffer 為 raw 像素資料時的通道數） }
+ * @returns {Array} [{ startX, endX, y, length, thickness }]，座標相對於區域左上角
  */
 async function detectHorizontalLinesInRegion(imageBuffer, fullImageWidth, fullImageHeight, region, options = {}) {
   const minLength = options.minLength || 20;
@@ -14,183 +64,411 @@ async function detectHorizontalLinesInRegion(imageBuffer, fullImageWidth, fullIm
   const threshold = options.threshold || 50;
   
   try {
-    // 驗證區域參數
-    if (!region || typeof region !== 'object') {
-      console.error('Invalid region parameter:', region);
-      return [];
-    }
+    const image = await readRegion(imageBuffer, fullImageWidth, fullImageHeight, region, options.channels);
+    if (!image) return [];
     
-    const { x, y, width, height } = region;
+    const offsetX = image.left - Math.floor(region.x);
+    const offsetY = image.top - Math.floor(region.y);
     
-    // 驗證座標
-    if (x < 0 || y < 0 || width <= 0 || height <= 0) {
-      console.error('Invalid region coordinates:', region);
-      return [];
-    }
+    return findHorizontalLines(image.data, image.width, image.height, { minLength, maxThickness, threshold })
+      .map(line => ({
+        ...line,
+        startX: line.startX + offsetX,
+        endX: line.endX + offsetX,
+        y: line.y + offsetY
+      }));
     
-    if (x + width > fullImageWidth || y + height > fullImageHeight) {
-      console.error('Region exceeds image boundaries:', {
-        region,
-        imageSize: { width: fullImageWidth, height: fullImageHeight }
-      });
-      // 調整到安全範圍內
-      const safeWidth = Math.min(width, fullImageWidth - x);
-      const safeHeight = Math.min(height, fullImageHeight - y);
+  } catch (error) {
+    console.error('Error detecting lines in region:', error);
+    console.error('Region:', region);
+    console.error('Error stack:', error.stack);
+    return [];
+  }
+}
+
+/**
+ * 以 run-length 掃描灰階資料找出水平線段
+ * 1. 每一列找出黑色像素的連續段，空隙不超過 MAX_GAP 時相連（閉運算），短於 minLength 的段落捨棄（開運算），文字因此被濾掉
+ * 2. 上下相鄰且水平重疊的段落屬於同一條線，列數即為線條厚度；超過 maxThickness 的視為實心區塊
+ */
+function findHorizontalLines(data, width, height, options) {
+  const { minLength, maxThickness, threshold } = options;
+  const lines = [];
+  let active = [];
+  
+  for (let cy = 0; cy <= height; cy++) {
+    const runs = cy < height ? findRowRuns(data, width, cy, threshold, minLength) : [];
+    const next = [];
+    
+    for (const run of runs) {
+      const group = active.find(candidate =>
+        !candidate.extended && run.startX < candidate.lastEndX && candidate.lastStartX < run.endX
+      );
       
-      if (safeWidth <= 0 || safeHeight <= 0) {
-        return [];
+      if (group) {
+        group.extended = true;
+        group.thickness++;
+        group.startX = Math.min(group.startX, run.startX);
+        group.endX = Math.max(group.endX, run.endX);
+        group.lastStartX = run.startX;
+        group.lastEndX = run.endX;
+        next.push(group);
+      } else {
+        next.push({
+          y: cy,
+          startX: run.startX,
+          endX: run.endX,
+          lastStartX: run.startX,
+          lastEndX: run.endX,
+          thickness: 1,
+          extended: true
+        });
       }
-      
-      console.log('Adjusted to safe region:', { x, y, width: safeWidth, height: safeHeight });
     }
     
-    // Step 1: 裁切區域
-    const croppedImage = await sharp(imageBuffer)
-      .extract({
-        left: Math.floor(x),
-        top: Math.floor(y),
-        width: Math.floor(width),
-        height: Math.floor(height)
-      })
-      .greyscale()
-      .threshold(threshold)
-      .raw()
-      .toBuffer({ resolveWithObject: true });
-    
-    const { data, info } = croppedImage;
-    const cropWidth = info.width;
-    const cropHeight = info.height;
-    
-    // Step 2: 在裁切後的小圖中檢測橫線
-    const lines = [];
-    const processedRows = new Set();
-    
-    for (let cy = 0; cy < cropHeight; cy++) {
-      if (processedRows.has(cy)) continue;
-      
-      let lineStart = null;
-      let lineLength = 0;
-      let gapCount = 0;
-      const maxGap = 3;
+    // 這一列沒有延續的線段已經結束
+    for (const group of active) {
+      if (!group.extended && group.thickness <= maxThickness) {
+        lines.push({
+          startX: group.startX,
+          endX: group.endX,
+          y: group.y,
+          length: group.endX - group.startX,
+          thickness: group.thickness
+        });
+      }
+    }
+    
+    next.forEach(group => { group.extended = false; });
+    active = next;
+  }
+  
+  return deduplicateLines(lines);
+}
+
+/**
+ * 找出單一列中長度至少 minLength 的黑色連續段（允許 MAX_GAP 的空隙）
+ * @returns {Array} [{ startX, endX }]，endX 不含
+ */
+function findRowRuns(data, width, cy, threshold, minLength) {
+  const runs = [];
+  const rowStart = cy * width;
+  let runStart = -1;
+  let lastBlack = -1;
+  
+  for (let cx = 0; cx < width; cx++) {
+    if (data[rowStart + cx] >= threshold) continue;
+    
+    if (runStart === -1) {
+      runStart = cx;
+    } else if (cx - lastBlack - 1 > MAX_GAP) {
+      if (lastBlack + 1 - runStart >= minLength) {
+        runs.push({ startX: runStart, endX: lastBlack + 1 });
+      }
+      runStart = cx;
+    }
+    lastBlack = cx;
+  }
+  
+  if (runStart !== -1 && lastBlack + 1 - runStart >= minLength) {
+    runs.push({ startX: runStart, endX: lastBlack + 1 });
+  }
+  
+  return runs;
+}
+
+/**
+ * 去重（區域內可能有重複；同一行並排的線段需保留）
+ */
+function deduplicateLines(lines) {
+  const deduplicated = [];
+  
+  lines.sort((a, b) => a.y - b.y);
+  
+  for (const line of lines) {
+    const isDuplicate = deduplicated.some(kept =>
+      Math.abs(line.y - kept.y) <= MIN_Y_DISTANCE &&
+      line.startX < kept.endX && kept.startX < line.endX
+    );
+    
+    if (!isDuplicate) {
+      deduplicated.push(line);
+    }
+  }
+  
+  return deduplicated;
+}
+
+/**
+ * 在圖片的特定區域檢測垂直線
+ * @param {Buffer} imageBuffer - 完整圖片 Buffer
+ * @param {number} fullImageWidth - 完整圖片寬度
+ * @param {number} fullImageHeight - 完整圖片高度
+ * @param {Object} region - 要掃描的區域 {x, y, width, height}，超出圖片的部分會被裁掉
+ * @param {Object} options - 檢測選項（同 detectHorizontalLinesInRegion）
+ * @returns {Array} [{ x, startY, endY, length, thickness }]，座標相對於區域左上角
+ */
+async function detectVerticalLinesInRegion(imageBuffer, fullImageWidth, fullImageHeight, region, options = {}) {
+  const minLength = options.minLength || 20;
+  const maxThickness = options.maxThickness || 3;
+  const threshold = options.threshold || 50;
+  
+  try {
+    const image = await readRegion(imageBuffer, fullImageWidth, fullImageHeight, region, options.channels);
+    if (!image) return [];
+    
+    const offsetX = image.left - Math.floor(region.x);
+    const offsetY = image.top - Math.floor(region.y);
+    
+    return findVerticalLines(image.data, image.width, image.height, { minLength, maxThickness, threshold })
+      .map(line => ({
+        ...line,
+        x: line.x + offsetX,
+        startY: line.startY + offsetY,
+        endY: line.endY + offsetY
+      }));
+    
+  } catch (error) {
+    console.error('Error detecting vertical lines in region:', error);
+    console.error('Region:', region);
+    return [];
+  }
+}
+
+/**
+ * 逐欄掃描灰階資料，找出垂直線段
+ */
+function findVerticalLines(data, width, height, options) {
+  const { minLength, maxThickness, threshold } = options;
+  const lines = [];
+  
+  for (let cx = 0; cx < width; cx++) {
+    let lineStart = null;
+    let lineLength = 0;
+    let gapCount = 0;
+    
+    for (let cy = 0; cy <= height; cy++) {
+      const isBlack = cy < height && data[cy * width + cx] < threshold;
       
-      for (let cx = 0; cx < cropWidth; cx++) {
-        const pixelIndex = cy * cropWidth + cx;
-        const pixelValue = data[pixelIndex];
-        const isBlack = pixelValue < 50;
-        
-        if (isBlack) {
-          if (lineStart === null) {
-            lineStart = cx;
-          }
-          lineLength++;
-          gapCount = 0;
-        } else {
-          if (lineLength > 0) {
-            gapCount++;
-            
-            if (gapCount > maxGap) {
-              if (lineLength >= minLength) {
-                const thickness = measureLineThickness(data, cropWidth, cropHeight, lineStart, cy, lineLength);
-                
-                if (thickness <= maxThickness) {
-                  lines.push({
-                    startX: lineStart,
-                    endX: lineStart + lineLength,
-                    y: cy,
-                    length: lineLength,
-                    thickness: thickness
-                  });
-                  
-                  // 標記已處理的行
-                  for (let ty = cy; ty < Math.min(cy + thickness, cropHeight); ty++) {
-                    processedRows.add(ty);
-                  }
-                }
-              }
-              
-              lineStart = null;
-              lineLength = 0;
-              gapCount = 0;
-            } else {
-              lineLength++;
-            }
-          }
+      if (isBlack) {
+        if (lineStart === null) {
+          lineStart = cy;
         }
+        lineLength += gapCount + 1;
+        gapCount = 0;
+        continue;
       }
       
-      // 處理行尾的線
+      if (lineStart === null) continue;
+      
+      gapCount++;
+      if (gapCount <= MAX_GAP && cy < height) continue;
+      
       if (lineLength >= minLength) {
-        const thickness = measureLineThickness(data, cropWidth, cropHeight, lineStart, cy, lineLength);
+        const thickness = measureVerticalLineThickness(data, width, cx, lineStart, lineLength, threshold);
+        
+        // 只保留線條最左側的那一欄，避免粗線重複
+        const continuesLeft = cx > 0 &&
+          isColumnBlack(data, width, cx - 1, lineStart, lineLength, threshold);
         
-        if (thickness <= maxThickness) {
+        if (thickness <= maxThickness && !continuesLeft) {
           lines.push({
-            startX: lineStart,
-            endX: lineStart + lineLength,
-            y: cy,
+            x: cx,
+            startY: lineStart,
+            endY: lineStart + lineLength,
             length: lineLength,
             thickness: thickness
           });
         }
       }
+      
+      lineStart = null;
+      lineLength = 0;
+      gapCount = 0;
     }
+  }
+  
+  return lines;
+}
+
+/**
+ * 測量垂直線條厚度（向右延伸的欄數）
+ */
+function measureVerticalLineThickness(data, width, startX, startY, length, threshold) {
+  let thickness = 1;
+  
+  for (let dx = 1; dx < 8; dx++) {
+    const checkX = startX + dx;
+    if (checkX >= width) break;
     
-    // Step 3: 去重（區域內可能有重複）
-    const deduplicated = [];
-    let lastY = -1000;
-    const minYDistance = 5;
+    if (isColumnBlack(data, width, checkX, startY, length, threshold)) {
+      thickness++;
+    } else {
+      break;
+    }
+  }
+  
+  return thickness;
+}
+
+/**
+ * 抽樣檢查某一欄在線段範圍內是否大致為黑色
+ */
+function isColumnBlack(data, width, checkX, startY, length, threshold) {
+  let blackPixelCount = 0;
+  const samplePoints = Math.min(8, length);
+  
+  for (let i = 0; i < samplePoints; i++) {
+    const checkY = startY + Math.floor((length / samplePoints) * i);
+    if (data[checkY * width + checkX] < threshold) {
+      blackPixelCount++;
+    }
+  }
+  
+  return blackPixelCount / samplePoints > 0.7;
+}
+
+/**
+ * 在圖片的特定區域檢測封閉的空白方框（含表格儲存格）
+ * @param {Buffer} imageBuffer - 完整圖片 Buffer
+ * @param {number} fullImageWidth - 完整圖片寬度
+ * @param {number} fullImageHeight - 完整圖片高度
+ * @param {Object} region - 要掃描的區域 {x, y, width, height}
+ * @param {Object} options - 檢測選項
+ * @returns {Array} 方框內部區域 [{ x, y, width, height, row, column, empty }]，座標相對於完整圖片；
+ *   預設只回傳空白方框，options.includeFilled 為 true 時一併回傳有內容的儲存格
+ */
+async function detectBoxesInRegion(imageBuffer, fullImageWidth, fullImageHeight, region, options = {}) {
+  const minWidth = options.minWidth || 30;
+  const minHeight = options.minHeight || 20;
+  const tolerance = options.tolerance || 4;
+  const maxFillRatio = options.maxFillRatio || 0.01;
+  const maxThickness = options.maxThickness || 6;
+  const threshold = options.threshold || 50;
+  
+  try {
+    // 橫線、直線與填滿比例共用同一份像素資料
+    const image = await readRegion(imageBuffer, fullImageWidth, fullImageHeight, region, options.channels);
+    if (!image) return [];
     
-    lines.sort((a, b) => a.y - b.y);
+    const { data, width, height } = image;
+    const horizontalLines = findHorizontalLines(data, width, height, { minLength: minWidth, maxThickness, threshold });
+    const verticalLines = findVerticalLines(data, width, height, { minLength: minHeight, maxThickness, threshold });
     
-    for (const line of lines) {
-      if (Math.abs(line.y - lastY) > minYDistance) {
-        deduplicated.push(line);
-        lastY = line.y;
-      }
+    if (horizontalLines.length < 2 || verticalLines.length < 2) {
+      return [];
     }
     
-    return deduplicated;
+    const cells = assembleCells(horizontalLines, verticalLines, { minWidth, minHeight, tolerance });
+    
+    // 只保留內部空白的儲存格
+    return cells
+      .map(cell => ({
+        ...cell,
+        x: cell.x + image.left,
+        y: cell.y + image.top,
+        empty: measureFillRatio(data, width, cell, tolerance, threshold) <= maxFillRatio
+      }))
+      .filter(cell => options.includeFilled || cell.empty);
     
   } catch (error) {
-    console.error('Error detecting lines in region:', error);
+    console.error('Error detecting boxes in region:', error);
     console.error('Region:', region);
-    console.error('Error stack:', error.stack);
     return [];
   }
 }
 
 /**
- * 測量線條厚度
+ * 由橫線與直線組合出最小的封閉儲存格
  */
-function measureLineThickness(data, width, height, startX, startY, length) {
-  let thickness = 1;
+function assembleCells(horizontalLines, verticalLines, options) {
+  const { minWidth, minHeight, tolerance } = options;
+  const cells = [];
+  const sortedHorizontal = [...horizontalLines].sort((a, b) => a.y - b.y);
   
-  for (let dy = 1; dy < 8; dy++) {
-    const checkY = startY + dy;
-    if (checkY >= height) break;
+  sortedHorizontal.forEach((top, rowIndex) => {
+    // 從上緣往下延伸的直線，依 x 排序
+    const edges = verticalLines
+      .filter(v =>
+        v.x >= top.startX - tolerance && v.x <= top.endX + tolerance &&
+        v.startY <= top.y + tolerance &&
+        v.endY - top.y >= minHeight
+      )
+      .sort((a, b) => a.x - b.x);
     
-    let blackPixelCount = 0;
-    const samplePoints = Math.min(8, length);
-    
-    for (let i = 0; i < samplePoints; i++) {
-      const checkX = startX + Math.floor((length / samplePoints) * i);
-      if (checkX >= width) continue;
+    for (let i = 0; i < edges.length - 1; i++) {
+      const left = edges[i];
+      const right = edges[i + 1];
       
-      const pixelIndex = checkY * width + checkX;
-      if (data[pixelIndex] < 50) {
-        blackPixelCount++;
-      }
+      if (right.x - left.x < minWidth) continue;
+      
+      // 兩側直線範圍內、最接近上緣的下緣橫線
+      const bottom = sortedHorizontal.find(h =>
+        h.y - top.y >= minHeight &&
+        h.y <= Math.min(left.endY, right.endY) + tolerance &&
+        h.startX <= left.x + tolerance &&
+        h.endX >= right.x - tolerance
+      );
+      
+      if (!bottom) continue;
+      
+      const innerX = left.x + left.thickness;
+      const innerY = top.y + top.thickness;
+      
+      cells.push({
+        x: innerX,
+        y: innerY,
+        width: right.x - innerX,
+        height: bottom.y - innerY,
+        row: rowIndex,
+        column: i
+      });
     }
-    
-    if (blackPixelCount / samplePoints > 0.7) {
-      thickness++;
-    } else {
-      break;
+  });
+  
+  return cells;
+}
+
+/**
+ * 計算儲存格內部（扣除邊緣）的黑色像素比例
+ */
+function measureFillRatio(data, width, cell, margin, threshold) {
+  const startX = Math.floor(cell.x + margin);
+  const endX = Math.floor(cell.x + cell.width - margin);
+  const startY = Math.floor(cell.y + margin);
+  const endY = Math.floor(cell.y + cell.height - margin);
+  
+  if (endX <= startX || endY <= startY) {
+    return 0;
+  }
+  
+  let blackPixels = 0;
+  for (let cy = startY; cy < endY; cy++) {
+    for (let cx = startX; cx < endX; cx++) {
+      if (data[cy * width + cx] < threshold) {
+        blackPixels++;
+      }
     }
   }
   
-  return thickness;
+  return blackPixels / ((endX - startX) * (endY - startY));
+}
+
+/**
+ * 移除屬於方框上下邊緣的橫線，避免同一方框同時產生線條欄位
+ */
+function filterBoxEdges(lines, boxes, tolerance = 6) {
+  return lines.filter(line => !boxes.some(box =>
+    line.startX < box.x + box.width + tolerance &&
+    box.x - tolerance < line.endX &&
+    (Math.abs(line.y - box.y) <= tolerance + line.thickness ||
+      Math.abs(line.y - (box.y + box.height)) <= tolerance)
+  ));
 }
 
 module.exports = {
-  detectHorizontalLinesInRegion
+  detectHorizontalLinesInRegion,
+  detectVerticalLinesInRegion,
+  detectBoxesInRegion,
+  filterBoxEdges
 };
\ No newline at end of file
@@ -2,78 +2,175 @@ const { getDocument } = require('pdfjs-dist/legacy/build/pdf');
 const { createCanvas } = require('canvas');
 const sharp = require('sharp');
 
+// 頁碼範圍格式，例如 "5-7"
+const PAGE_RANGE_REGEX = /^(\d+)\s*-\s*(\d+)$/;
+
 /**
- * 將 PDF 轉換為圖片（使用 pdfjs-dist + canvas）
+ * 逐頁渲染 PDF（async iterator），一次只保留一頁的 canvas，適合大型文件
+ * @param {Buffer} pdfBuffer - PDF Buffer
+ * @param {Object} options - {
+ *   dpi: 解析度（預設 300）,
+ *   pages: 要渲染的頁碼（從 0 開始），例如 [2, '5-7'] 或 "2,5-7"；省略時為全部頁面,
+ *   format: 'png'（預設）| 'raw'（未壓縮的像素資料，省去編碼與解碼）,
+ *   grayscale: 是否輸出灰階（raw 時為單一通道）,
+ *   onPage(pageIndex, pageCount): 每頁渲染完成後呼叫
+ * }
+ * @yields {Object} { page, buffer, width, height, format, channels }
  */
-async function convertPDFToImages(pdfBuffer, options = {}) {
+async function* renderPages(pdfBuffer, options = {}) {
   const dpi = options.dpi || 300;
   const scale = dpi / 72; // PDF 默認 72 DPI
+  const format = options.format || 'png';
+  
+  console.log(`Loading PDF (${pdfBuffer.length} bytes)...`);
+  
+  // 加載 PDF - 重要：不要設置 worker
+  const loadingTask = getDocument({
+    data: new Uint8Array(pdfBuffer),
+    verbosity: 0,
+    useWorkerFetch: false,
+    isEvalSupported: false,
+    useSystemFonts: true
+  });
+  
+  const pdf = await loadingTask.promise;
   
   try {
-    console.log(`Loading PDF (${pdfBuffer.length} bytes)...`);
-    
-    // 加載 PDF - 重要：不要設置 worker
-    const loadingTask = getDocument({
-      data: new Uint8Array(pdfBuffer),
-      verbosity: 0,
-      useWorkerFetch: false,
-      isEvalSupported: false,
-      useSystemFonts: true
-    });
-    
-    const pdf = await loadingTask.promise;
     const numPages = pdf.numPages;
-    
     console.log(`PDF loaded successfully: ${numPages} pages`);
     
     if (numPages === 0) {
       throw new Error('PDF has no pages');
     }
     
-    const images = [];
+    const pageIndexes = parsePageRanges(options.pages, numPages);
     
-    // 逐頁轉換
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-      console.log(`  Converting page ${pageNum}/${numPages}...`);
+    for (const pageIndex of pageIndexes) {
+      console.log(`  Converting page ${pageIndex + 1}/${numPages}...`);
       
-      const page = await pdf.getPage(pageNum);
+      const page = await pdf.getPage(pageIndex + 1);
       const viewport = page.getViewport({ scale });
-      
-      console.log(`    Viewport: ${viewport.width.toFixed(0)}x${viewport.height.toFixed(0)}`);
+      const width = Math.floor(viewport.width);
+      const height = Math.floor(viewport.height);
       
       // 創建 canvas
-      const canvas = createCanvas(viewport.width, viewport.height);
+      const canvas = createCanvas(width, height);
       const context = canvas.getContext('2d');
       
       // 設置白色背景
       context.fillStyle = 'white';
-      context.fillRect(0, 0, viewport.width, viewport.height);
+      context.fillRect(0, 0, width, height);
       
       // 渲染 PDF 頁面到 canvas
-      const renderContext = {
-        canvasContext: context,
-        viewport: viewport
-      };
-      
-      await page.render(renderContext).promise;
+      await page.render({ canvasContext: context, viewport: viewport }).promise;
       
-      console.log(`    Rendered successfully`);
+      const image = await exportCanvas(canvas, context, format, options.grayscale);
       
-      // 轉換 canvas 為 PNG buffer
-      const imageBuffer = canvas.toBuffer('image/png');
+      // 立即釋放 canvas 與頁面資源（縮成 0 × 0 會釋放像素記憶體）
+      canvas.width = 0;
+      canvas.height = 0;
+      page.cleanup();
       
-      // 使用 Sharp 獲取元數據
-      const metadata = await sharp(imageBuffer).metadata();
+      console.log(`    Image: ${width}x${height}px, ${(image.buffer.length / 1024).toFixed(2)} KB`);
       
-      console.log(`    Image: ${metadata.width}x${metadata.height}px, ${(imageBuffer.length / 1024).toFixed(2)} KB`);
+      if (options.onPage) {
+        options.onPage(pageIndex, numPages);
+      }
       
-      images.push({
-        page: pageNum - 1,
-        buffer: imageBuffer,
-        width: metadata.width,
-        height: metadata.height,
-        format: 'png'
-      });
+      yield {
+        page: pageIndex,
+        width: width,
+        height: height,
+        format: format,
+        ...image
+      };
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * 將 canvas 輸出為 PNG 或 raw 像素資料
+ * @returns {Promise<Object>} { buffer, channels }
+ */
+async function exportCanvas(canvas, context, format, grayscale) {
+  if (format === 'raw') {
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+    const rgba = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    
+    if (!grayscale) {
+      return { buffer: rgba, channels: 4 };
+    }
+    
+    const grey = await sharp(rgba, { raw: { width: canvas.width, height: canvas.height, channels: 4 } })
+      .removeAlpha()
+      .greyscale()
+      .raw()
+      .toBuffer();
+    return { buffer: grey, channels: 1 };
+  }
+  
+  const png = canvas.toBuffer('image/png');
+  if (!grayscale) {
+    return { buffer: png, channels: 4 };
+  }
+  
+  return { buffer: await sharp(png).greyscale().png().toBuffer(), channels: 1 };
+}
+
+/**
+ * 解析頁碼範圍（從 0 開始）
+ * @param {Array|string|number|undefined} spec - 例如 [2, '5-7']、"2,5-7" 或 3；省略時為全部頁面
+ * @param {number} pageCount - 總頁數
+ * @returns {Array} 排序後不重複的頁碼；超出範圍的頁碼會被略過
+ */
+function parsePageRanges(spec, pageCount) {
+  if (spec === undefined || spec === null) {
+    return Array.from({ length: pageCount }, (_, index) => index);
+  }
+  
+  const items = Array.isArray(spec) ? spec : String(spec).split(',');
+  const pages = new Set();
+  
+  for (const item of items) {
+    const text = String(item).trim();
+    const range = text.match(PAGE_RANGE_REGEX);
+    
+    let start;
+    let end;
+    if (range) {
+      start = parseInt(range[1], 10);
+      end = parseInt(range[2], 10);
+    } else if (/^\d+$/.test(text)) {
+      start = end = parseInt(text, 10);
+    } else {
+      throw new Error(`Invalid page range "${text}"`);
+    }
+    
+    if (start > end) {
+      throw new Error(`Invalid page range "${text}"`);
+    }
+    
+    for (let page = start; page <= Math.min(end, pageCount - 1); page++) {
+      pages.add(page);
+    }
+  }
+  
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * 將 PDF 轉換為圖片（使用 pdfjs-dist + canvas），回傳所有頁面的 PNG
+ * 大型文件請改用 renderPages 逐頁處理
+ * options: { dpi, pages, grayscale, onPage(pageIndex, pageCount) }
+ */
+async function convertPDFToImages(pdfBuffer, options = {}) {
+  try {
+    const images = [];
+    
+    for await (const image of renderPages(pdfBuffer, { ...options, format: 'png' })) {
+      images.push(image);
     }
     
     console.log(`✓ Successfully converted ${images.length} pages`);
@@ -87,5 +184,7 @@ async function convertPDFToImages(pdfBuffer, options = {}) {
 }
 
 module.exports = {
+  renderPages,
+  parsePageRanges,
   convertPDFToImages
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { renderPages } = require('./pdfToImage');
+const { pdfToPixelCoordinates, getPageGeometry } = require('./coordinateMapper');
+const { getFieldColors } = require('./formCreator');
+
+// 預覽圖不需要偵測用的高解析度
+const DEFAULT_PREVIEW_DPI = 96;
+
+// pages：每頁一張 PNG；contact_sheet：所有頁面拼成一張
+const PREVIEW_FORMATS = ['pages', 'contact_sheet'];
+
+// 總覽圖的欄數與頁面間距（像素）
+const CONTACT_SHEET_COLUMNS = 2;
+const CONTACT_SHEET_GAP = 20;
+
+// 標籤文字大小（像素）
+const LABEL_FONT_SIZE = 11;
+
+/**
+ * 渲染每一頁並疊上偵測到的欄位範圍（顏色與 createFormFields 相同），不建立任何表單欄位
+ * @param {Buffer} pdfBuffer - 原始 PDF
+ * @param {Array} fillableAreas - 可填寫區域（顯示座標）
+ * @param {Object} options - { dpi }
+ * @returns {Promise<Array>} [{ page, width, height, field_count, buffer }]
+ */
+async function renderPreview(pdfBuffer, fillableAreas, options = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const pages = pdfDoc.getPages();
+  const previews = [];
+  
+  // 逐頁渲染，只保留標註後的 PNG
+  for await (const image of renderPages(pdfBuffer, { dpi: options.dpi || DEFAULT_PREVIEW_DPI })) {
+    const geometry = getPageGeometry(pages[image.page]);
+    const pageAreas = fillableAreas.filter(area => area.page === image.page);
+    
+    const overlay = buildOverlaySvg(pageAreas, image, geometry.width, geometry.height);
+    const buffer = await sharp(image.buffer)
+      .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+      .png()
+      .toBuffer();
+    
+    previews.push({
+      page: image.page,
+      width: image.width,
+      height: image.height,
+      field_count: pageAreas.length,
+      buffer: buffer
+    });
+  }
+  
+  return previews;
+}
+
+/**
+ * 產生覆蓋在頁面上的 SVG：欄位矩形加上「名稱 (類型)」標籤
+ */
+function buildOverlaySvg(areas, image, pdfPageWidth, pdfPageHeight) {
+  const shapes = areas.map(area => {
+    const { borderColor, backgroundColor } = getFieldColors(area.field_type);
+    
+    // PDF 的 y 為底部，轉換時以頂部為起點
+    const topLeft = pdfToPixelCoordinates(
+      area.x, area.y + area.height,
+      image.width, image.height,
+      pdfPageWidth, pdfPageHeight
+    );
+    const width = area.width * (image.width / pdfPageWidth);
+    const height = area.height * (image.height / pdfPageHeight);
+    
+    const label = escapeXml(`${area.field_name} (${area.field_type})`);
+    const labelY = topLeft.y > LABEL_FONT_SIZE + 2 ? topLeft.y - 3 : topLeft.y + height + LABEL_FONT_SIZE;
+    
+    return (
+      `<rect x="${topLeft.x.toFixed(1)}" y="${topLeft.y.toFixed(1)}" ` +
+      `width="${width.toFixed(1)}" height="${height.toFixed(1)}" ` +
+      `fill="${toCssColor(backgroundColor)}" fill-opacity="0.5" ` +
+      `stroke="${toCssColor(borderColor)}" stroke-width="1.5"/>` +
+      `<text x="${topLeft.x.toFixed(1)}" y="${labelY.toFixed(1)}" ` +
+      `font-family="sans-serif" font-size="${LABEL_FONT_SIZE}" fill="${toCssColor(borderColor)}">${label}</text>`
+    );
+  });
+  
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${image.width}" height="${image.height}">` +
+    shapes.join('') +
+    '</svg>'
+  );
+}
+
+/**
+ * 將所有預覽頁面依序排成一張總覽圖
+ * @param {Array} previews - renderPreview 的結果
+ * @returns {Promise<Object>} { width, height, page_count, buffer }
+ */
+async function buildContactSheet(previews) {
+  const columns = Math.min(CONTACT_SHEET_COLUMNS, previews.length);
+  const rows = Math.ceil(previews.length / columns);
+  const cellWidth = Math.max(...previews.map(preview => preview.width));
+  const cellHeight = Math.max(...previews.map(preview => preview.height));
+  
+  const width = columns * cellWidth + (columns + 1) * CONTACT_SHEET_GAP;
+  const height = rows * cellHeight + (rows + 1) * CONTACT_SHEET_GAP;
+  
+  const buffer = await sharp({
+    create: { width, height, channels: 3, background: { r: 220, g: 220, b: 220 } }
+  })
+    .composite(previews.map((preview, index) => ({
+      input: preview.buffer,
+      left: CONTACT_SHEET_GAP + (index % columns) * (cellWidth + CONTACT_SHEET_GAP),
+      top: CONTACT_SHEET_GAP + Math.floor(index / columns) * (cellHeight + CONTACT_SHEET_GAP)
+    })))
+    .png()
+    .toBuffer();
+  
+  return {
+    width: width,
+    height: height,
+    page_count: previews.length,
+    buffer: buffer
+  };
+}
+
+/**
+ * pdf-lib 的 rgb()（0 ~ 1）轉換為 CSS 顏色
+ */
+function toCssColor(color) {
+  const channel = value => Math.round(value * 255);
+  return `rgb(${channel(color.red)},${channel(color.green)},${channel(color.blue)})`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  PREVIEW_FORMATS,
+  renderPreview,
+  buildContactSheet
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+const multer = require('multer');
+
+// 上傳檔案大小上限（與 express.json 的 50mb 一致）
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+// 回傳結果的 JSON 放在這個 header（base64 編碼，避免非 ASCII 字元）
+const RESULT_HEADER = 'X-Form-Result';
+
+// header 內容的上限（bytes）：Node 的 fetch 限制所有 header 共 16 KB，常見的 proxy 更小
+const MAX_RESULT_HEADER_BYTES = 8 * 1024;
+
+// multipart 欄位都是字串，只有這些欄位依約定為 JSON（陣列、物件、數字或布林值）；
+// 名稱、網址等其他欄位保留字串，例如範本名稱 "2024" 不會變成數字
+const JSON_FIELDS = [
+  'extract_elements',
+  'bounds_format',
+  'classifier_rules',
+  'format_options',
+  'fields',
+  'values',
+  'pages',
+  'dpi',
+  'preview_dpi',
+  'iou_threshold',
+  'min_confidence',
+  'preview',
+  'use_font_metrics',
+  'use_templates',
+  'replace_default_rules',
+  'strict',
+  'ignore_fingerprint',
+  'include_schema',
+  'flatten',
+  'merge_stacked'
+];
+
+// 上傳的 PDF 直接保存在記憶體中
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES }
+});
+
+/**
+ * 接受 multipart/form-data 上傳：PDF 檔案欄位名稱為 "pdf"，JSON_FIELDS 中的欄位會嘗試以 JSON 解析
+ */
+function acceptPdfUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+  
+  upload.single('pdf')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: `Upload failed: ${error.message}` });
+    }
+    
+    // 例如 extract_elements 需要轉回陣列
+    for (const [key, value] of Object.entries(req.body)) {
+      if (!JSON_FIELDS.includes(key)) continue;
+      
+      try {
+        req.body[key] = JSON.parse(value);
+      } catch (e) {
+        // 不是 JSON，保留原字串
+      }
+    }
+    
+    next();
+  });
+}
+
+/**
+ * 請求是否包含 PDF（上傳檔案、pdf_base64 或 pdf_url）
+ */
+function hasPdfInput(req) {
+  return Boolean(req.file || req.body.pdf_base64 || req.body.pdf_url);
+}
+
+/**
+ * 讀取請求中的 PDF，優先順序：上傳檔案 > pdf_base64 > pdf_url
+ * @returns {Promise<Buffer>} PDF Buffer
+ */
+async function readPdfInput(req) {
+  if (req.file) {
+    return req.file.buffer;
+  }
+  
+  if (req.body.pdf_base64) {
+    // 允許 data URL 格式（data:application/pdf;base64,...）
+    const base64 = String(req.body.pdf_base64).replace(/^data:[^,]*,/, '');
+    return Buffer.from(base64, 'base64');
+  }
+  
+  const pdfResponse = await fetch(req.body.pdf_url);
+  if (!pdfResponse.ok) {
+    throw new Error(`Failed to download PDF: ${pdfResponse.statusText}`);
+  }
+  return Buffer.from(await pdfResponse.arrayBuffer());
+}
+
+/**
+ * 依 response_format 回傳處理結果
+ * - json（預設）：pdf_base64 內嵌在 JSON
+ * - pdf：直接回傳 application/pdf，其餘結果放在 X-Form-Result header；
+ *   超過 MAX_RESULT_HEADER_BYTES 時只放統計（details_omitted 為 true），完整結果需改用 json 或 multipart
+ * - multipart：multipart/mixed，第一部分為 JSON，第二部分為 PDF
+ */
+function sendFormResult(res, result, format = 'json') {
+  if (format !== 'pdf' && format !== 'multipart') {
+    return res.json(result);
+  }
+  
+  const { pdf_base64, ...summary } = result;
+  const pdfBytes = Buffer.from(pdf_base64, 'base64');
+  
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'attachment; filename="form.pdf"');
+    let header = Buffer.from(JSON.stringify(summary)).toString('base64');
+    if (header.length > MAX_RESULT_HEADER_BYTES) {
+      const { success, method, statistics } = summary;
+      header = Buffer.from(JSON.stringify({ success, method, statistics, details_omitted: true })).toString('base64');
+    }
+    res.set(RESULT_HEADER, header);
+    return res.send(pdfBytes);
+  }
+  
+  const boundary = `form-result-${Date.now().toString(36)}`;
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      'Content-Type: application/json; charset=utf-8\r\n\r\n' +
+      JSON.stringify(summary) + '\r\n' +
+      `--${boundary}\r\n` +
+      'Content-Type: application/pdf\r\n' +
+      'Content-Disposition: attachment; filename="form.pdf"\r\n\r\n'
+    ),
+    pdfBytes,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  
+  res.set('Content-Type', `multipart/mixed; boundary=${boundary}`);
+  return res.send(body);
+}
+
+module.exports = {
+  RESULT_HEADER,
+  acceptPdfUpload,
+  hasPdfInput,
+  readPdfInput,
+  sendFormResult
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * lineDetector 效能測試：以合成的 300 DPI Letter 頁面（橫線、表格、核取方塊、仿文字雜訊、實心色塊）計時
+ * 用法：node scripts/benchmarkLineDetector.js [次數]
+ */
+const sharp = require('sharp');
+const {
+  detectHorizontalLinesInRegion,
+  detectBoxesInRegion
+} = require('../lineDetector');
+
+const PAGE_WIDTH = 2550;   // 8.5 in × 300 DPI
+const PAGE_HEIGHT = 3300;  // 11 in × 300 DPI
+const ITERATIONS = parseInt(process.argv[2], 10) || 5;
+
+/**
+ * 產生合成頁面（單通道灰階 raw）與預期的橫線數量
+ */
+function createSyntheticPage() {
+  const data = Buffer.alloc(PAGE_WIDTH * PAGE_HEIGHT, 255);
+  let expectedLines = 0;
+  
+  // 固定的亂數種子，讓每次結果一致
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff;
+  };
+  
+  const fill = (x, y, width, height, value = 0) => {
+    for (let cy = y; cy < y + height; cy++) {
+      data.fill(value, cy * PAGE_WIDTH + x, cy * PAGE_WIDTH + x + width);
+    }
+  };
+  
+  // 仿文字：每行一串小筆畫，加上下方的填寫橫線
+  for (let row = 0; row < 30; row++) {
+    const y = 150 + row * 60;
+    let x = 150;
+    
+    while (x < 900) {
+      const glyphWidth = 10 + Math.floor(random() * 18);
+      fill(x, y, 3, 30);
+      fill(x, y + Math.floor(random() * 25), glyphWidth, 3);
+      x += glyphWidth + 8;
+    }
+    
+    fill(950, y + 32, 600 + Math.floor(random() * 800), 2 + (row % 2));
+    expectedLines++;
+  }
+  
+  // 6 × 4 表格（線寬 3）
+  const tableTop = 2100;
+  for (let row = 0; row <= 6; row++) {
+    fill(150, tableTop + row * 100, 2200, 3);
+    expectedLines++;
+  }
+  for (let column = 0; column <= 4; column++) {
+    fill(150 + column * 550 - (column === 4 ? 3 : 0), tableTop, 3, 603);
+  }
+  
+  // 核取方塊（短於 minLength，不算在橫線內）
+  for (let i = 0; i < 10; i++) {
+    const x = 150 + i * 200;
+    fill(x, 2850, 40, 2);
+    fill(x, 2888, 40, 2);
+    fill(x, 2850, 2, 40);
+    fill(x + 38, 2850, 2, 40);
+  }
+  
+  // 實心色塊（太厚，不應被當成橫線）
+  fill(150, 3000, 2200, 40);
+  
+  return { data, expectedLines };
+}
+
+async function time(label, iterations, fn) {
+  let result;
+  const start = process.hrtime.bigint();
+  
+  for (let i = 0; i < iterations; i++) {
+    result = await fn();
+  }
+  
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+  console.log(`  ${label.padEnd(42)} ${elapsed.toFixed(1).padStart(8)} ms`);
+  return result;
+}
+
+async function main() {
+  const { data, expectedLines } = createSyntheticPage();
+  const png = await sharp(data, { raw: { width: PAGE_WIDTH, height: PAGE_HEIGHT, channels: 1 } }).png().toBuffer();
+  const fullPage = { x: 0, y: 0, width: PAGE_WIDTH, height: PAGE_HEIGHT };
+  
+  console.log(`Synthetic page: ${PAGE_WIDTH}x${PAGE_HEIGHT}px, ${ITERATIONS} iteration(s)\n`);
+  
+  const lines = await time('Horizontal lines, full page (raw grey)', ITERATIONS, () =>
+    detectHorizontalLinesInRegion(data, PAGE_WIDTH, PAGE_HEIGHT, fullPage, { minLength: 60, channels: 1 })
+  );
+  
+  await time('Horizontal lines, full page (PNG)', ITERATIONS, () =>
+    detectHorizontalLinesInRegion(png, PAGE_WIDTH, PAGE_HEIGHT, fullPage, { minLength: 60 })
+  );
+  
+  const cells = await time('Boxes and cells, full page (raw grey)', ITERATIONS, () =>
+    detectBoxesInRegion(data, PAGE_WIDTH, PAGE_HEIGHT, fullPage, {
+      includeFilled: true, minWidth: 16, minHeight: 16, channels: 1
+    })
+  );
+  
+  await time('Horizontal lines, 600x200 region (x100)', ITERATIONS, async () => {
+    for (let i = 0; i < 100; i++) {
+      await detectHorizontalLinesInRegion(data, PAGE_WIDTH, PAGE_HEIGHT,
+        { x: 900, y: 150 + (i % 30) * 60, width: 600, height: 200 },
+        { minLength: 60, channels: 1 }
+      );
+    }
+  });
+  
+  console.log(`\nLines found: ${lines.length} (expected ${expectedLines})`);
+  console.log(`Cells found: ${cells.length} (expected 24 table cells + 10 checkboxes)`);
+  
+  if (lines.length !== expectedLines || cells.length !== 34) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
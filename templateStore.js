@@ -0,0 +1,192 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { fieldToArea, isCreatedField } = require('./fieldOverrides');
+
+// 範本以 JSON 檔案保存，每個範本一個檔案
+const TEMPLATE_DIR = process.env.TEMPLATE_DIR || path.join(__dirname, 'templates');
+
+// 範本名稱同時是檔名，只允許安全的字元
+const TEMPLATE_NAME_REGEX = /^[\w.-]{1,64}$/;
+
+/**
+ * 計算 PDF 指紋：頁數、每頁尺寸與全文雜湊，同一版本的表單會得到相同的 id
+ * @param {Array} pages - pdf-lib 頁面
+ * @param {Array} textRuns - loadTextRuns 的結果
+ * @returns {Object} { id, page_count, page_sizes, text_hash, has_text }
+ *   沒有文字層（掃描檔）時只剩頁數與尺寸，不足以辨識文件，has_text 為 false
+ */
+function computeFingerprint(pages, textRuns) {
+  const pageSizes = pages.map(page => [
+    Math.round(page.getWidth()),
+    Math.round(page.getHeight())
+  ]);
+  
+  // 只比對文字內容（忽略空白差異），字型或產生器不同不影響
+  const text = textRuns
+    .map(runs => runs.map(run => run.text).join('').replace(/\s+/g, ''))
+    .join('\n');
+  const textHash = sha256(text);
+  
+  return {
+    id: sha256(JSON.stringify([pages.length, pageSizes, textHash])).substring(0, 32),
+    page_count: pages.length,
+    page_sizes: pageSizes,
+    text_hash: textHash,
+    has_text: text.replace(/\n/g, '').length > 0
+  };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * 驗證範本名稱與欄位（格式為 /process-ocr 回應中的 fields）
+ * @returns {string|null} 錯誤訊息，沒有錯誤時為 null
+ */
+function validateTemplate(name, fields) {
+  if (typeof name !== 'string' || !TEMPLATE_NAME_REGEX.test(name)) {
+    return 'name must be 1-64 characters of letters, digits, "_", "-" or "."';
+  }
+  
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return 'fields must be a non-empty array';
+  }
+  
+  if (!fields.some(isCreatedField)) {
+    return 'fields has no created fields (every field was skipped or failed)';
+  }
+  
+  for (const [index, field] of fields.entries()) {
+    if (!field || typeof field.name !== 'string' || !field.name || typeof field.type !== 'string') {
+      return `fields[${index}] needs a name and a type`;
+    }
+    
+    const coordinates = field.coordinates || {};
+    const values = ['x', 'y', 'width', 'height'].map(key => parseFloat(coordinates[key]));
+    if (!Number.isInteger(field.page) || values.some(value => !Number.isFinite(value))) {
+      return `fields[${index}] needs a page and coordinates { x, y, width, height }`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 保存範本（同名範本會被覆蓋）；略過或失敗的候選（outcome 不是 created、renamed）不保存
+ * @param {string} name - 範本名稱
+ * @param {Object} fingerprint - computeFingerprint 的結果
+ * @param {Array} fields - /process-ocr 回應中的 fields
+ * @returns {Promise<Object>} 保存的範本
+ */
+async function saveTemplate(name, fingerprint, fields) {
+  const template = {
+    name: name,
+    fingerprint: fingerprint,
+    fields: fields.filter(isCreatedField),
+    created_at: new Date().toISOString()
+  };
+  
+  await fs.mkdir(TEMPLATE_DIR, { recursive: true });
+  await fs.writeFile(templatePath(name), JSON.stringify(template, null, 2));
+  
+  return template;
+}
+
+/**
+ * 讀取範本，不存在時回傳 null
+ */
+async function getTemplate(name) {
+  if (!TEMPLATE_NAME_REGEX.test(name)) return null;
+  
+  try {
+    return JSON.parse(await fs.readFile(templatePath(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * 列出所有範本（不含欄位內容）
+ */
+async function listTemplates() {
+  let files;
+  try {
+    files = await fs.readdir(TEMPLATE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  
+  const templates = [];
+  for (const file of files.filter(file => file.endsWith('.json'))) {
+    const template = await getTemplate(path.basename(file, '.json'));
+    if (!template) continue;
+    
+    templates.push({
+      name: template.name,
+      fingerprint: template.fingerprint,
+      field_count: template.fields.length,
+      created_at: template.created_at
+    });
+  }
+  
+  return templates;
+}
+
+/**
+ * 刪除範本
+ * @returns {Promise<boolean>} 範本是否存在
+ */
+async function deleteTemplate(name) {
+  if (!TEMPLATE_NAME_REGEX.test(name)) return false;
+  
+  try {
+    await fs.unlink(templatePath(name));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * 依指紋找出第一個符合的範本；沒有文字層的指紋不比對（同尺寸的掃描檔指紋都相同）
+ */
+async function findTemplateByFingerprint(fingerprint) {
+  if (!fingerprint.has_text) return null;
+  
+  for (const summary of await listTemplates()) {
+    if (summary.fingerprint && summary.fingerprint.id === fingerprint.id) {
+      return getTemplate(summary.name);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 將範本欄位轉換回 createFormFields 使用的區域格式（舊範本可能含有略過的候選，一併排除）
+ */
+function templateToAreas(template) {
+  return template.fields
+    .filter(isCreatedField)
+    .map((field, index) => fieldToArea(field, index, 'template'));
+}
+
+function templatePath(name) {
+  return path.join(TEMPLATE_DIR, `${name}.json`);
+}
+
+module.exports = {
+  computeFingerprint,
+  validateTemplate,
+  saveTemplate,
+  getTemplate,
+  listTemplates,
+  deleteTemplate,
+  findTemplateByFingerprint,
+  templateToAreas
+};
\ No newline at end of file
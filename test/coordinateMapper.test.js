@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, degrees } = require('pdf-lib');
+const {
+  createPageGeometry,
+  getPageGeometry,
+  displayToUserPoint,
+  userToDisplayPoint,
+  userToDisplayRect
+} = require('../coordinateMapper');
+
+const ROTATIONS = [0, 90, 180, 270, -90];
+
+// MediaBox 原點不在 (0, 0)，CropBox 再往內縮（[左, 下, 右, 上]）
+const MEDIA_BOX = [50, 100, 662, 892];
+const CROP_BOX = [80, 140, 500, 700];
+
+/**
+ * 以 pdf-lib 建立單頁 PDF（可指定旋轉、MediaBox 與 CropBox），回傳重新載入後的頁面
+ */
+async function createPage({ rotation = 0, mediaBox = MEDIA_BOX, cropBox = null } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([612, 792]);
+  page.setMediaBox(mediaBox[0], mediaBox[1], mediaBox[2] - mediaBox[0], mediaBox[3] - mediaBox[1]);
+  if (cropBox) {
+    page.setCropBox(cropBox[0], cropBox[1], cropBox[2] - cropBox[0], cropBox[3] - cropBox[1]);
+  }
+  page.setRotation(degrees(rotation));
+  
+  const loaded = await PDFDocument.load(await pdfDoc.save());
+  return loaded.getPage(0);
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('createPageGeometry normalizes rotation and swaps size for 90 / 270', () => {
+  const box = { x: 0, y: 0, width: 612, height: 792 };
+  
+  assert.deepEqual(createPageGeometry(-90, box), { rotation: 270, box, width: 792, height: 612 });
+  assert.deepEqual(createPageGeometry(450, box), { rotation: 90, box, width: 792, height: 612 });
+  assert.deepEqual(createPageGeometry(180, box), { rotation: 180, box, width: 612, height: 792 });
+  assert.deepEqual(createPageGeometry(undefined, box), { rotation: 0, box, width: 612, height: 792 });
+});
+
+test('getPageGeometry uses the intersection of CropBox and MediaBox', async () => {
+  const geometry = getPageGeometry(await createPage({ rotation: 90, cropBox: [0, 140, 500, 2000] }));
+  
+  assert.deepEqual(geometry.box, { x: 50, y: 140, width: 450, height: 752 });
+  assert.equal(geometry.rotation, 90);
+  assert.equal(geometry.width, 752);
+  assert.equal(geometry.height, 450);
+});
+
+for (const rotation of ROTATIONS) {
+  for (const cropBox of [null, CROP_BOX]) {
+    const name = `rotation ${rotation}${cropBox ? ' with CropBox offset' : ''}`;
+    
+    test(`${name}: display and user points round-trip`, async () => {
+      const geometry = getPageGeometry(await createPage({ rotation, cropBox }));
+      
+      for (const [x, y] of [[0, 0], [12.5, 40.25], [geometry.width, geometry.height], [geometry.width / 3, 7]]) {
+        const user = displayToUserPoint(x, y, geometry);
+        const display = userToDisplayPoint(user.x, user.y, geometry);
+        assertClose(display.x, x, `${name} x`);
+        assertClose(display.y, y, `${name} y`);
+      }
+    });
+    
+    test(`${name}: display corners map onto the visible box`, async () => {
+      const geometry = getPageGeometry(await createPage({ rotation, cropBox }));
+      const { box } = geometry;
+      
+      const corners = [
+        [0, 0],
+        [geometry.width, 0],
+        [0, geometry.height],
+        [geometry.width, geometry.height]
+      ].map(([x, y]) => displayToUserPoint(x, y, geometry));
+      
+      assertClose(Math.min(...corners.map(point => point.x)), box.x, `${name} left`);
+      assertClose(Math.max(...corners.map(point => point.x)), box.x + box.width, `${name} right`);
+      assertClose(Math.min(...corners.map(point => point.y)), box.y, `${name} bottom`);
+      assertClose(Math.max(...corners.map(point => point.y)), box.y + box.height, `${name} top`);
+      
+      const rect = userToDisplayRect(box, geometry);
+      assertClose(rect.x, 0, `${name} rect x`);
+      assertClose(rect.y, 0, `${name} rect y`);
+      assertClose(rect.width, geometry.width, `${name} rect width`);
+      assertClose(rect.height, geometry.height, `${name} rect height`);
+    });
+  }
+}
+
+test('rotation 90: the displayed bottom-left is the user-space bottom-right', async () => {
+  const geometry = getPageGeometry(await createPage({ rotation: 90, mediaBox: [0, 0, 612, 792] }));
+  
+  assert.deepEqual(displayToUserPoint(0, 0, geometry), { x: 612, y: 0 });
+  assert.deepEqual(displayToUserPoint(110, 507, geometry), { x: 105, y: 110 });
+});
\ No newline at end of file
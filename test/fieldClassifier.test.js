@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyField, buildRules } = require('../fieldClassifier');
+
+// 標籤 → 預期類型；中心詞（最接近空白的關鍵字）決定類型
+const CASES = [
+  ['Signature', 'signature'],
+  ['Signature of applicant', 'signature'],
+  ['Signature Date', 'date'],
+  ['Sign-up date', 'date'],
+  ['Date signed', 'date'],
+  ['Date of birth (mm/dd/yyyy)', 'date'],
+  ['Initials', 'initials'],
+  ['Initial deposit amount', 'currency'],
+  ['Amount ($)', 'currency'],
+  ['Total hours', 'text'],
+  ['Rate (%)', 'percentage'],
+  ['Comments (100% optional)', 'text'],
+  ['Email address', 'email'],
+  ['Mailing address', 'address'],
+  ['Phone (home)', 'phone'],
+  ['Phone no.', 'phone'],
+  ['Product design', 'text'],
+  ['簽名', 'signature'],
+  ['電話號碼', 'phone'],
+  ['電子郵件信箱', 'email'],
+  ['出生日期', 'date'],
+  ['通訊地址', 'address']
+];
+
+for (const [label, expected] of CASES) {
+  test(`"${label}" is classified as ${expected}`, () => {
+    assert.equal(classifyField(label, null), expected);
+  });
+}
+
+// 台灣表單常見的「簽名日期」、「簽署日期」是日期欄位，不是簽名欄位
+test('Chinese signing-date labels are dates, not signature widgets', () => {
+  for (const label of ['簽名日期', '簽署日期', '签名日期', '签署日期', '簽章日期', '簽名日期：']) {
+    assert.equal(classifyField(label, null), 'date', label);
+  }
+});
+
+test('client rules win over default rules on the same match', () => {
+  const rules = buildRules([{ type: 'visit_date', keywords: ['date'] }]);
+  assert.equal(classifyField('Date', null, rules), 'visit_date');
+  assert.equal(classifyField('Date of birth', null, rules), 'date');
+});
+
+test('falls back to the surrounding text without a label', () => {
+  assert.equal(classifyField(null, 'Signature ________'), 'signature');
+  assert.equal(classifyField(null, null), 'text');
+});
\ No newline at end of file
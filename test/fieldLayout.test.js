@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeStackedAreas } = require('../fieldLayout');
+const { createPageGeometry } = require('../coordinateMapper');
+
+const geometries = [createPageGeometry(0, { x: 0, y: 0, width: 612, height: 792 })];
+
+// 三條等長、行距 20 點的橫線（PDF 座標，由上而下）
+function createRows(labels = [null, null, null]) {
+  return labels.map((label, index) => ({
+    id: index + 1,
+    field_name: `text_${index + 1}`,
+    page: 0,
+    x: 150,
+    y: 600 - index * 20,
+    width: 250,
+    height: 12,
+    field_type: 'text',
+    metadata: { detector: 'line', label }
+  }));
+}
+
+// 顯示頁面左上角為原點的標籤元素，與第 index 行同高
+function createLabel(text, index) {
+  const top = 792 - (600 - index * 20) - 12;
+  return { Text: text, Bounds: [72, top, 130, top + 12], Page: 0 };
+}
+
+test('stacked rows without labels merge into one multiline field', () => {
+  const merged = mergeStackedAreas(createRows(), { elements: [createLabel('Comments:', -1)], geometries });
+  
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].metadata.multiline, true);
+  assert.equal(merged[0].metadata.lineCount, 3);
+});
+
+test('rows with their own label element on the left stay separate', () => {
+  const elements = ['Name:', 'Address:', 'Phone:'].map(createLabel);
+  const merged = mergeStackedAreas(createRows(), { elements, geometries });
+  
+  assert.equal(merged.length, 3);
+  assert.ok(merged.every(area => !area.metadata.multiline));
+});
+
+test('a labeled row ends the block instead of being skipped over', () => {
+  const merged = mergeStackedAreas(createRows([null, 'City', null]));
+  
+  // 第一行不會跨過 "City" 與第三行合併；第三行是 "City" 的延續
+  assert.deepEqual(merged.map(area => [area.metadata.label, area.metadata.lineCount]), [[null, undefined], ['City', 2]]);
+});
\ No newline at end of file
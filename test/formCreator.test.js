@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, degrees } = require('pdf-lib');
+const { createFormFields } = require('../formCreator');
+
+/**
+ * 建立單頁 PDF 並回傳 Buffer；mediaBox、cropBox 為 [x, y, width, height]
+ */
+async function createPdf({ rotation = 0, mediaBox = null, cropBox = null } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([612, 792]);
+  if (mediaBox) {
+    page.setMediaBox(...mediaBox);
+  }
+  if (cropBox) {
+    page.setCropBox(...cropBox);
+  }
+  page.setRotation(degrees(rotation));
+  
+  return Buffer.from(await pdfDoc.save());
+}
+
+function createArea(fieldType, rect, metadata = {}) {
+  return { id: 1, field_name: `${fieldType}_field`, page: 0, field_type: fieldType, ...rect, metadata };
+}
+
+/**
+ * 建立欄位後讀回唯一 widget 的使用者空間範圍與 /MK /R
+ */
+async function createWidget(pdfBuffer, area) {
+  const result = await createFormFields(pdfBuffer, [area]);
+  assert.equal(result.statistics.created_fields, 1, result.errors.join('\n'));
+  
+  const pdfDoc = await PDFDocument.load(Buffer.from(result.pdf_base64, 'base64'));
+  const [widget] = pdfDoc.getForm().getFields()[0].acroField.getWidgets();
+  const mk = widget.dict.lookup(PDFName.of('MK'));
+  const r = mk && mk.lookup(PDFName.of('R'));
+  
+  return { rect: widget.getRectangle(), rotation: r ? r.asNumber() : 0 };
+}
+
+function assertRect(actual, expected) {
+  for (const key of ['x', 'y', 'width', 'height']) {
+    // widget 的範圍包含邊框（每邊多 0.5 點）
+    assert.ok(Math.abs(actual[key] - expected[key]) <= 1, `${key}: expected ≈${expected[key]}, got ${actual[key]}`);
+  }
+}
+
+// /Rotate 90 的頁面上，基線在使用者空間 x = 100 的直排下劃線顯示為水平線：
+// 顯示座標 (110, 507) 起、寬 95、高 11 的欄位應落在使用者空間 x ≈ 94 ~ 105、y ≈ 110 ~ 205
+for (const fieldType of ['text', 'checkbox', 'signature']) {
+  test(`${fieldType} widget on a /Rotate 90 page lands on the rotated line`, async () => {
+    const area = createArea(fieldType, { x: 110, y: 507, width: 95, height: 11 });
+    const { rect, rotation } = await createWidget(await createPdf({ rotation: 90 }), area);
+    
+    assertRect(rect, { x: 94, y: 110, width: 11, height: 95 });
+    assert.equal(rotation, 90);
+  });
+}
+
+test('widget follows a non-zero MediaBox origin and CropBox offset', async () => {
+  const pdfBuffer = await createPdf({ mediaBox: [50, 100, 612, 792], cropBox: [80, 140, 420, 560] });
+  const { rect, rotation } = await createWidget(pdfBuffer, createArea('text', { x: 10, y: 20, width: 100, height: 12 }));
+  
+  assertRect(rect, { x: 90, y: 160, width: 100, height: 12 });
+  assert.equal(rotation, 0);
+});
+
+test('widget on a /Rotate 270 page with an offset CropBox', async () => {
+  const pdfBuffer = await createPdf({ rotation: 270, cropBox: [30, 40, 500, 700] });
+  const { rect, rotation } = await createWidget(pdfBuffer, createArea('text', { x: 100, y: 50, width: 200, height: 15 }));
+  
+  // r270：使用者 x = box.x + 顯示 y，使用者 y = box.y + box.height − 顯示 x
+  assertRect(rect, { x: 30 + 50, y: 40 + 700 - 100 - 200, width: 15, height: 200 });
+  assert.equal(rotation, 270);
+});
+
+// 日期欄位的長度限制是格式化後的最長長度：單字母的 m、d 最多兩位數
+for (const [datePattern, maxLength] of [['m/d/yyyy', 10], ['mm/dd/yyyy', 10], ['d.m.yy', 8], ['mmm d, yyyy', undefined]]) {
+  test(`date field with pattern ${datePattern} gets maxLength ${maxLength}`, async () => {
+    const result = await createFormFields(await createPdf(), [createArea('date', { x: 100, y: 100, width: 120, height: 12 })], {
+      format: { date_pattern: datePattern }
+    });
+    assert.equal(result.statistics.created_fields, 1, result.errors.join('\n'));
+    
+    const pdfDoc = await PDFDocument.load(Buffer.from(result.pdf_base64, 'base64'));
+    assert.equal(pdfDoc.getForm().getTextField('date_field').getMaxLength(), maxLength);
+  });
+}
\ No newline at end of file
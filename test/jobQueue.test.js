@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { submitJob, getJob, summarizeJob } = require('../jobQueue');
+
+/**
+ * 本機的 webhook 接收端：每次 POST 的 JSON 內容依序交給 nextPayload()
+ */
+async function startWebhookStub(statusCode = 200) {
+  const payloads = [];
+  const waiting = [];
+  
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.statusCode = statusCode;
+      res.end();
+      
+      const payload = JSON.parse(body);
+      const resolve = waiting.shift();
+      if (resolve) {
+        resolve(payload);
+      } else {
+        payloads.push(payload);
+      }
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    nextPayload: () => payloads.length > 0
+      ? Promise.resolve(payloads.shift())
+      : new Promise(resolve => waiting.push(resolve)),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function createResult(fieldCount) {
+  return {
+    success: true,
+    statistics: { created_fields: fieldCount },
+    fields: Array.from({ length: fieldCount }, (value, index) => ({ name: `field_${index + 1}` }))
+  };
+}
+
+test('reports per-stage progress and posts the result_url to the webhook', async () => {
+  const webhook = await startWebhookStub();
+  const seen = [];
+  let job;
+  
+  try {
+    job = submitJob(async (reportProgress) => {
+      // 等 submitJob 回傳後再讀取工作狀態
+      await new Promise(setImmediate);
+      
+      for (const progress of [
+        { stage: 'extracting_text', page: 1, page_count: 2 },
+        { stage: 'extracting_text', page: 2, page_count: 2 },
+        { stage: 'creating_fields' }
+      ]) {
+        reportProgress(progress);
+        seen.push({ status: getJob(job.id).status, ...getJob(job.id).progress });
+      }
+      
+      return createResult(3);
+    }, { webhookUrl: webhook.url, baseUrl: 'http://forms.test' });
+    
+    const payload = await webhook.nextPayload();
+    
+    assert.deepEqual(seen, [
+      { status: 'processing', stage: 'extracting_text', page: 1, page_count: 2 },
+      { status: 'processing', stage: 'extracting_text', page: 2, page_count: 2 },
+      { status: 'processing', stage: 'creating_fields', page: null, page_count: null }
+    ]);
+    assert.deepEqual(payload, {
+      job_id: job.id,
+      status: 'completed',
+      statistics: { created_fields: 3 },
+      result_url: `http://forms.test/jobs/${job.id}/result`
+    });
+    
+    const summary = summarizeJob(getJob(job.id));
+    assert.equal(summary.status, 'completed');
+    assert.equal(summary.progress.stage, 'completed');
+    assert.equal(summary.field_count, 3);
+  } finally {
+    await webhook.close();
+  }
+});
+
+test('posts the error without a result_url when the job fails', async () => {
+  const webhook = await startWebhookStub();
+  
+  try {
+    const job = submitJob(async () => {
+      throw new Error('Text extraction failed: bad xref');
+    }, { webhookUrl: webhook.url, baseUrl: 'http://forms.test' });
+    
+    const payload = await webhook.nextPayload();
+    
+    assert.deepEqual(payload, {
+      job_id: job.id,
+      status: 'failed',
+      error: 'Text extraction failed: bad xref'
+    });
+    assert.equal(getJob(job.id).status, 'failed');
+  } finally {
+    await webhook.close();
+  }
+});
+
+test('records the webhook response status on the job', async () => {
+  const webhook = await startWebhookStub(503);
+  
+  try {
+    const job = submitJob(async () => createResult(1), { webhookUrl: webhook.url });
+    await webhook.nextPayload();
+    
+    // notifyWebhook 在收到回應後才寫入 job.webhook
+    while (!getJob(job.id).webhook) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    
+    assert.deepEqual(summarizeJob(getJob(job.id)).webhook, { delivered: false, status_code: 503 });
+  } finally {
+    await webhook.close();
+  }
+});
+
+test('runs queued jobs one at a time and reports the queue position', async () => {
+  let release;
+  const first = submitJob(() => new Promise(resolve => { release = () => resolve(createResult(0)); }));
+  const second = submitJob(async () => createResult(0));
+  
+  assert.equal(summarizeJob(first).status, 'processing');
+  assert.equal(summarizeJob(second).status, 'queued');
+  assert.equal(summarizeJob(second).queue_position, 1);
+  
+  release();
+  while (getJob(second.id).status !== 'completed') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+});
\ No newline at end of file
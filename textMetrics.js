@@ -0,0 +1,280 @@
+const { getDocument, OPS } = require('pdfjs-dist/legacy/build/pdf');
+const { createPageGeometry, userToDisplayPoint } = require('./coordinateMapper');
+
+/**
+ * 讀取每一頁的文字片段與每個字元的實際位置（使用嵌入字型的字寬）
+ * @param {Buffer} pdfBuffer - PDF Buffer
+ * @param {Object} options - { onPage(pageIndex, pageCount) }：每讀完一頁呼叫一次
+ * @returns {Array} 每頁一個陣列 [{ text, x, y, width, height, offsets }]，座標為顯示座標（見 createPageGeometry）
+ *   offsets[i] 為第 i 個字元起點相對於 x 的距離，offsets[text.length] 為結尾；無法取得字寬時為 null
+ */
+async function loadTextRuns(pdfBuffer, options = {}) {
+  const loadingTask = getDocument({
+    data: new Uint8Array(pdfBuffer),
+    verbosity: 0,
+    useWorkerFetch: false,
+    isEvalSupported: false,
+    useSystemFonts: true,
+    disableFontFace: true
+  });
+  
+  const pdf = await loadingTask.promise;
+  const pageRuns = [];
+  
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      
+      // page.view 已是 CropBox 與 MediaBox 的交集
+      const [viewX1, viewY1, viewX2, viewY2] = page.view;
+      const geometry = createPageGeometry(page.rotate, {
+        x: viewX1,
+        y: viewY1,
+        width: viewX2 - viewX1,
+        height: viewY2 - viewY1
+      });
+      
+      // 每個 showText 指令的字形與字寬（1/1000 em）
+      const operatorList = await page.getOperatorList();
+      const glyphRuns = [];
+      operatorList.fnArray.forEach((fn, index) => {
+        if (fn === OPS.showText) {
+          glyphRuns.push(toGlyphRun(operatorList.argsArray[index][0]));
+        }
+      });
+      
+      // 不合併文字片段，讓每個片段對應一個 showText
+      const textContent = await page.getTextContent({ disableCombineTextItems: true });
+      const runs = [];
+      let glyphIndex = 0;
+      
+      for (const item of textContent.items) {
+        if (!item.str) continue;
+        
+        // 依序往後找同樣文字的字形序列
+        let offsets = null;
+        for (let i = glyphIndex; i < Math.min(glyphRuns.length, glyphIndex + 5); i++) {
+          if (glyphRuns[i].text === item.str) {
+            offsets = scaleAdvances(glyphRuns[i].advances, item.width);
+            glyphIndex = i + 1;
+            break;
+          }
+        }
+        
+        runs.push(toDisplayRun(item, offsets, geometry));
+      }
+      
+      pageRuns.push(runs);
+      page.cleanup();
+      
+      if (options.onPage) {
+        options.onPage(pageNum - 1, pdf.numPages);
+      }
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  
+  return pageRuns;
+}
+
+/**
+ * 將文字片段的基線由 PDF 使用者空間轉換為顯示座標
+ * 顯示後不是由左至右水平排列的片段（直書、旋轉的文字）改用外框，並捨棄逐字元位置
+ */
+function toDisplayRun(item, offsets, geometry) {
+  const [a, b, , , originX, originY] = item.transform;
+  const scale = Math.hypot(a, b) || 1;
+  const start = userToDisplayPoint(originX, originY, geometry);
+  const end = userToDisplayPoint(
+    originX + (a / scale) * item.width,
+    originY + (b / scale) * item.width,
+    geometry
+  );
+  const horizontal = end.x > start.x && Math.abs(end.y - start.y) < 0.01 * item.width + 0.01;
+  
+  return {
+    text: item.str,
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y), // 基線
+    width: horizontal ? item.width : Math.abs(end.x - start.x),
+    height: item.height,
+    offsets: horizontal ? offsets : null
+  };
+}
+
+/**
+ * 將 showText 的字形陣列轉換為逐字元的字寬；數字項目為字距調整
+ * 字距調整移動的是下一個字形的起點，因此加在前一個字元的字寬上；
+ * 第一個字形之前的調整 pdf.js 已移動文字片段的起點（不算在寬度內），直接略過
+ */
+function toGlyphRun(glyphs) {
+  let text = '';
+  const advances = [];
+  let pendingKerning = 0;
+  
+  for (const glyph of glyphs) {
+    if (typeof glyph === 'number') {
+      // TJ 的字距調整：正值往左移
+      pendingKerning -= glyph;
+      continue;
+    }
+    
+    const chars = (glyph.unicode || '').split('');
+    if (chars.length === 0) continue;
+    
+    if (advances.length > 0) {
+      advances[advances.length - 1] += pendingKerning;
+    }
+    pendingKerning = 0;
+    
+    // 連字（如 "fi"）平均分配字寬
+    const advance = glyph.width / chars.length;
+    chars.forEach(char => {
+      text += char;
+      advances.push(advance);
+    });
+  }
+  
+  return { text, advances };
+}
+
+/**
+ * 將相對字寬依比例換算為 PDF 單位的累積位置
+ */
+function scaleAdvances(advances, totalWidth) {
+  const total = advances.reduce((sum, advance) => sum + advance, 0);
+  if (total <= 0 || !totalWidth) return null;
+  
+  const offsets = [0];
+  let position = 0;
+  for (const advance of advances) {
+    position += advance;
+    offsets.push((position / total) * totalWidth);
+  }
+  
+  return offsets;
+}
+
+/**
+ * 在指定範圍內的文字片段中找出段落（例如下劃線），回傳實際的起訖 X 座標
+ * @param {Array} runs - 單頁的文字片段（loadTextRuns 的結果）
+ * @param {Object} rect - PDF 座標範圍 { x, y, width, height }
+ * @param {Function} findSegments - 在字串中找段落的函式，回傳 [{ startIndex, endIndex }]
+ * @returns {Array} [{ startX, endX }]，依 X 座標排序；沒有字寬的片段會被略過
+ */
+function measureSegments(runs, rect, findSegments) {
+  const measured = [];
+  
+  const overlapping = runs
+    .filter(run =>
+      run.offsets &&
+      run.y >= rect.y - run.height * 0.5 &&
+      run.y <= rect.y + rect.height &&
+      run.x < rect.x + rect.width &&
+      run.x + run.width > rect.x
+    )
+    .sort((a, b) => a.x - b.x);
+  
+  for (const run of overlapping) {
+    for (const segment of findSegments(run.text)) {
+      measured.push({
+        startX: run.x + run.offsets[segment.startIndex],
+        endX: run.x + run.offsets[segment.endIndex + 1]
+      });
+    }
+  }
+  
+  return measured;
+}
+
+/**
+ * 將文字片段組合成 Adobe Extract 格式的 extract_elements（每行一個元素）
+ * @param {Array} pageRuns - loadTextRuns 的結果
+ * @param {Array} geometries - 每頁的顯示座標系（getPageGeometry，用於翻轉 Y 軸）
+ * @returns {Array} [{ Text, Bounds: [x1, y1, x2, y2], Page }]，Bounds 以顯示頁面的左上角為原點
+ */
+function buildExtractElements(pageRuns, geometries) {
+  const elements = [];
+  
+  pageRuns.forEach((runs, pageIndex) => {
+    const geometry = geometries[pageIndex];
+    if (!geometry) return;
+    
+    const pageHeight = geometry.height;
+    const sorted = runs
+      .filter(run => run.text.trim() && run.height > 0)
+      .sort((a, b) => b.y - a.y);
+    
+    // Step 1: 基線相近的片段歸為同一行
+    const rows = [];
+    for (const run of sorted) {
+      const row = rows[rows.length - 1];
+      if (row && Math.abs(row[0].y - run.y) <= Math.min(row[0].height, run.height) * 0.3) {
+        row.push(run);
+      } else {
+        rows.push([run]);
+      }
+    }
+    
+    // Step 2: 同一行內依 X 排序，距離過遠則拆成不同元素
+    for (const row of rows) {
+      row.sort((a, b) => a.x - b.x);
+      
+      let current = null;
+      for (const run of row) {
+        const gap = current ? run.x - current.x2 : Infinity;
+        
+        if (current && gap <= run.height * 2) {
+          current.text += (gap > run.height * 0.15 ? ' ' : '') + run.text;
+          current.x2 = Math.max(current.x2, run.x + run.width);
+          current.top = Math.max(current.top, run.y + run.height * 0.8);
+          current.bottom = Math.min(current.bottom, run.y - run.height * 0.2);
+          continue;
+        }
+        
+        if (current) elements.push(toElement(current, pageIndex, pageHeight));
+        current = {
+          text: run.text,
+          x1: run.x,
+          x2: run.x + run.width,
+          top: run.y + run.height * 0.8,     // 約略的字身上緣
+          bottom: run.y - run.height * 0.2   // 約略的下緣
+        };
+      }
+      
+      if (current) elements.push(toElement(current, pageIndex, pageHeight));
+    }
+  });
+  
+  return elements;
+}
+
+function toElement(line, page, pageHeight) {
+  return {
+    Text: line.text,
+    Bounds: [line.x1, pageHeight - line.top, line.x2, pageHeight - line.bottom],
+    Page: page
+  };
+}
+
+// 中日韓文字、全形符號等寬字元（約為半形字元的兩倍寬）
+const WIDE_CHAR_REGEX = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/;
+
+/**
+ * 沒有字型字寬時估算每個字元的位置：寬字元以兩個單位計算
+ * @param {string} text - 文字
+ * @param {number} totalWidth - 文字總寬度（PDF 單位）
+ * @returns {Array} offsets[i] 為第 i 個字元起點，offsets[text.length] 為結尾
+ */
+function estimateCharOffsets(text, totalWidth) {
+  const units = text.split('').map(char => (WIDE_CHAR_REGEX.test(char) ? 2 : 1));
+  return scaleAdvances(units, totalWidth) || units.map(() => 0).concat(0);
+}
+
+module.exports = {
+  loadTextRuns,
+  measureSegments,
+  buildExtractElements,
+  estimateCharOffsets
+};
\ No newline at end of file